@@ -30,23 +30,778 @@
 
 const Crypto = require( "crypto" );
 
+const FingerprintWords = require( "../shared/fingerprintWords" );
+
+const PasswordHashDefaults = {
+	version: 2,
+	hash: "sha256",
+	iterations: 100000,
+};
+
+const PasswordDerivation = {
+	hash: "sha256",
+	iterations: 100000,
+	// upper limit for iterations, rejects hashes and encrypted data blocking key derivation for too long
+	maxIterations: 10000000,
+	saltBytes: 16,
+};
+
+const PasswordHashLengths = {
+	sha256: 32,
+	sha384: 48,
+	sha512: 64,
+};
+
+const AsymmetricHashes = {
+	"SHA-256": "RSA-OAEP-256",
+	"SHA-384": "RSA-OAEP-384",
+	"SHA-512": "RSA-OAEP-512",
+};
+
+const AsymmetricModulusLengths = [ 2048, 3072, 4096 ];
+
+const KeyAgreementCurves = [ "P-256", "P-384" ];
+
+/**
+ * Normalizes a rendered fingerprint for comparison.
+ *
+ * @param {string} fingerprint
+ * 		Any rendering of a fingerprint
+ * @returns {string}
+ * 		Fingerprint without case and separators
+ */
+function normalizeFingerprint( fingerprint ) {
+	return String( fingerprint ).toLowerCase().replace( /[\s:-]+/g, "" );
+}
+
+/**
+ * Extracts normalized renderings of a fingerprint for comparison.
+ *
+ * A single rendering given as string is assigned to the kind of rendering
+ * matching its form.
+ *
+ * @param {object|string} fingerprint
+ * 		Fingerprint as returned by fingerprint() or any of its renderings
+ * @returns {{hex: string, numeric: string, words: string}}
+ * 		Normalized renderings, empty if missing
+ */
+function splitFingerprint( fingerprint ) {
+	if ( typeof fingerprint === "object" ) {
+		return {
+			hex: fingerprint.hex == null ? "" : normalizeFingerprint( fingerprint.hex ),
+			numeric: fingerprint.numeric == null ? "" : normalizeFingerprint( fingerprint.numeric ),
+			words: fingerprint.words == null ? "" : normalizeFingerprint( fingerprint.words ),
+		};
+	}
+
+	const rendering = normalizeFingerprint( fingerprint );
+	const isHex = /^[0-9a-f]{64}$/.test( rendering );
+	const isNumeric = /^\d{30}$/.test( rendering );
+
+	return {
+		hex: isHex ? rendering : "",
+		numeric: isNumeric ? rendering : "",
+		words: isHex || isNumeric ? "" : rendering,
+	};
+}
+
+/**
+ * Detects if given value is a supported number of PBKDF2 iterations.
+ *
+ * @param {*} iterations
+ * 		Value to check
+ * @returns {boolean}
+ * 		True if value is a positive integer not exceeding the supported limit
+ */
+function isValidIterations( iterations ) {
+	return typeof iterations === "number" && Math.floor( iterations ) === iterations &&
+		iterations > 0 && iterations <= PasswordDerivation.maxIterations;
+}
+
+/**
+ * Validates options for hashing passwords and fills in missing defaults.
+ *
+ * @param {object} options
+ * 		Custom options, e.g. { version: 2, hash: "sha256", iterations: 100000 }
+ * @returns {{version: number, hash: string, iterations: number}}
+ * 		Complete set of options
+ * @throws
+ * 		An Error is thrown if the given options are invalid.
+ */
+function normalizePasswordHashOptions( options ) {
+	if ( options == null || typeof options !== "object" ) {
+		throw new Error( "Crypto: Invalid arguments" );
+	}
+
+	const normalized = Object.assign( {}, PasswordHashDefaults, options );
+	if (
+		( normalized.version !== 1 && normalized.version !== 2 ) ||
+		!PasswordHashLengths.hasOwnProperty( normalized.hash ) ||
+		!isValidIterations( normalized.iterations )
+	) {
+		throw new Error( "Crypto: Invalid arguments" );
+	}
+
+	return normalized;
+}
+
+/**
+ * Splits a password hash string into its components.
+ *
+ * @param {string} hash
+ * 		Hash string in format "$ceph1$<encoding>$<salt>$<hash>" or "$ceph2$<kdf>$<params>$<salt>$<hash>"
+ * @returns {object|null}
+ * 		Components of the hash string, or
+ * 		null if the hash string isn't well formatted
+ */
+function parsePasswordHash( hash ) {
+	const v1Match = /^\$ceph1\$([^$]+)\$([^$]+)\$([^$]+)$/.exec( hash );
+	if ( v1Match ) {
+		const encoding = v1Match[1];
+		if ( encoding !== "base64" && encoding !== "hex" ) {
+			return null;
+		}
+
+		return {
+			version: 1,
+			encoding,
+			hash: "sha256",
+			iterations: 1,
+			salt: Buffer.from( v1Match[2], encoding ),
+			saltEncoded: v1Match[2],
+			digest: Buffer.from( v1Match[3], encoding ),
+		};
+	}
+
+	const v2Match = /^\$ceph2\$pbkdf2-([^$]+)\$i=(\d+)\$([^$]+)\$([^$]+)$/.exec( hash );
+	if ( v2Match ) {
+		const iterations = parseInt( v2Match[2] );
+		if ( !PasswordHashLengths.hasOwnProperty( v2Match[1] ) || !isValidIterations( iterations ) ) {
+			return null;
+		}
+
+		return {
+			version: 2,
+			encoding: "base64",
+			hash: v2Match[1],
+			iterations,
+			salt: Buffer.from( v2Match[3], "base64" ),
+			saltEncoded: v2Match[3],
+			digest: Buffer.from( v2Match[4], "base64" ),
+		};
+	}
+
+	return null;
+}
+
+/**
+ * Encodes a buffer in base64 without trailing padding characters.
+ *
+ * @param {Buffer} buffer
+ * 		Data to encode
+ * @returns {string}
+ * 		Base64-encoded data without padding
+ */
+function toUnpaddedBase64( buffer ) {
+	return buffer.toString( "base64" ).replace( /=+$/, "" );
+}
+
+/**
+ * Compares two buffers in constant time.
+ *
+ * @param {Buffer} a
+ * 		First buffer
+ * @param {Buffer} b
+ * 		Second buffer
+ * @returns {boolean}
+ * 		True iff both buffers have the same content
+ */
+function safeEqual( a, b ) {
+	return a.length === b.length && Crypto.timingSafeEqual( a, b );
+}
+
+/**
+ * Provides symmetric algorithm parameters per version of the internal encryption algorithm
+ * matching those used by the browser's implementation.
+ *
+ * @param {number} version
+ * 		Version of the internal encryption algorithm
+ * @returns {{cipher: string, ivBytes: number, authenticated: boolean}|null}
+ * 		Algorithm parameters, or
+ * 		null if version is not supported
+ */
+function getSymmetricAlgorithm( version ) {
+	switch ( version ) {
+		case 1 :	return { cipher: "aes-256-cbc", ivBytes: 16, authenticated: false };
+		case 2 :
+		case 3 :	return { cipher: "aes-256-gcm", ivBytes: 12, authenticated: true };
+		default :	return null;
+	}
+}
+
+/**
+ * Selects parameters of symmetric encryption used by encryptObject() and
+ * decryptObject() in given version.
+ *
+ * Version 3 (ECDH) and version 4 (objects for multiple recipients) of the
+ * browser's implementation aren't supported.
+ *
+ * @param {number} version
+ * 		Version of encryptObject()
+ * @returns {{cipher: string, ivBytes: number, authenticated: boolean}|null}
+ * 		Algorithm parameters, or
+ *		null if version is not supported
+ */
+function getObjectAlgorithm( version ) {
+	switch ( version ) {
+		case 1 :
+		case 2 :	return getSymmetricAlgorithm( version );
+		case 5 :	return getSymmetricAlgorithm( 2 );
+		default :	return null;
+	}
+}
+
+/**
+ * Creates the symmetric key used by encryptData() and decryptData()
+ * the same way the browser's implementation does.
+ *
+ * @param {string} password
+ * 		Password to create the key from
+ * @param {number} version
+ * 		Version of the internal encryption algorithm
+ * @param {Buffer} salt
+ * 		Salt for key derivation (ignored before version 3)
+ * @param {number} iterations
+ * 		Number of PBKDF2 iterations (ignored before version 3)
+ * @returns {Buffer}
+ * 		Raw symmetric key
+ */
+function createPasswordKey( password, version, salt, iterations ) {
+	if ( version < 3 ) {
+		const sKey = Buffer.alloc( 32 );
+		for ( let i = 0; i < sKey.length; i++ ) {
+			sKey[i] = password.charCodeAt( i % password.length ) & 0xff;
+		}
+
+		return sKey;
+	}
+
+	return Crypto.pbkdf2Sync( Buffer.from( password, "utf8" ), salt, iterations, 32, PasswordDerivation.hash );
+}
+
+/**
+ * Encrypts data symmetrically producing output compatible with Web Crypto API,
+ * i.e. with the authentication tag appended in case of AES-GCM.
+ *
+ * @param {{cipher: string, authenticated: boolean}} sAlgo
+ * 		Algorithm parameters as provided by getSymmetricAlgorithm()
+ * @param {Buffer} sKey
+ * 		Raw symmetric key
+ * @param {Buffer} iv
+ * 		Initialisation vector
+ * @param {Buffer} plain
+ * 		Data to encrypt
+ * @param {Buffer} additionalData
+ * 		Additional data to authenticate (AES-GCM only)
+ * @returns {Buffer}
+ * 		Encrypted data
+ */
+function encryptSymmetric( sAlgo, sKey, iv, plain, additionalData = null ) {
+	const cipher = Crypto.createCipheriv( sAlgo.cipher, sKey, iv );
+	if ( additionalData != null ) {
+		cipher.setAAD( additionalData );
+	}
+	const chunks = [ cipher.update( plain ), cipher.final() ];
+	if ( sAlgo.authenticated ) {
+		chunks.push( cipher.getAuthTag() );
+	}
+
+	return Buffer.concat( chunks );
+}
+
+/**
+ * Decrypts data encrypted with encryptSymmetric() or the Web Crypto API.
+ *
+ * @param {{cipher: string, authenticated: boolean}} sAlgo
+ * 		Algorithm parameters as provided by getSymmetricAlgorithm()
+ * @param {Buffer} sKey
+ * 		Raw symmetric key
+ * @param {Buffer} iv
+ * 		Initialisation vector
+ * @param {Buffer} encrypted
+ * 		Data to decrypt
+ * @param {Buffer} additionalData
+ * 		Additional data to authenticate (AES-GCM only)
+ * @returns {Buffer}
+ * 		Decrypted data
+ * @throws
+ * 		An Error is thrown if decryption fails, e.g. due to using wrong key.
+ */
+function decryptSymmetric( sAlgo, sKey, iv, encrypted, additionalData = null ) {
+	const decipher = Crypto.createDecipheriv( sAlgo.cipher, sKey, iv );
+	if ( additionalData != null ) {
+		decipher.setAAD( additionalData );
+	}
+	let data = encrypted;
+	if ( sAlgo.authenticated ) {
+		decipher.setAuthTag( encrypted.slice( -16 ) );
+		data = encrypted.slice( 0, -16 );
+	}
+
+	return Buffer.concat( [ decipher.update( data ), decipher.final() ] );
+}
+
+/**
+ * Calculates the identifier of a public key the same way the browser's
+ * implementation does.
+ *
+ * @param {string} publicKeyString
+ * 		Public key string
+ * @returns {string}
+ * 		Hex-encoded identifier
+ */
+function computeKeyId( publicKeyString ) {
+	return Crypto.createHash( "sha256" ).update( publicKeyString, "latin1" ).digest()
+		.slice( 0, 8 )
+		.toString( "hex" );
+}
+
+/**
+ * UTF-8 byte order mark preceding JSON-strings in buffers with noise
+ *
+ * @type {Buffer}
+ */
+const Utf8Marker = Buffer.from( [ 0xef, 0xbb, 0xbf ] );
+
+/**
+ * Converts an object into a buffer containing its UTF-8 encoded JSON-string
+ * just like BufferTools.fromObject() does in the browser.
+ *
+ * @param {object} dataObject
+ * 		Object to convert
+ * @param {boolean} addNoise
+ * 		True iff some noise should surround the JSON-string
+ * @returns {Buffer}
+ * 		Buffer containing the object's JSON-string (surrounded by noise if requested)
+ */
+function objectToBuffer( dataObject, addNoise = false ) {
+	const dataBuffer = Buffer.from( JSON.stringify( dataObject ), "utf8" );
+	if ( !addNoise ) {
+		return dataBuffer;
+	}
+
+	const nonNoiseCharacters = [ "{".charCodeAt( 0 ), "}".charCodeAt( 0 ), 0 ];
+	const noiseConfig = Crypto.randomBytes( 3 );
+	noiseConfig[0] = ( noiseConfig[0] % 50 ) + 15;	// Amount of noise characters before JSON string
+	noiseConfig[1] = ( noiseConfig[1] % 50 ) + 15;	// Amount of noise characters after JSON string
+	noiseConfig[2] = nonNoiseCharacters.indexOf( noiseConfig[2] ) === -1 ? noiseConfig[2] : 32; // Replacement for non-noise characters
+
+	const noiseBuffer = Crypto.randomBytes( noiseConfig[0] + noiseConfig[1] );
+	for ( let i = 0; i < noiseBuffer.length; i++ ) {
+		if ( nonNoiseCharacters.indexOf( noiseBuffer[i] ) !== -1 ) {
+			noiseBuffer[i] = noiseConfig[2];
+		}
+	}
+
+	return Buffer.concat( [ noiseBuffer.slice( 0, noiseConfig[0] ), Utf8Marker, dataBuffer, noiseBuffer.slice( noiseConfig[0] ) ] );
+}
+
+/**
+ * Extracts object from a buffer created by objectToBuffer() or BufferTools.fromObject().
+ *
+ * Just like BufferTools.toObject() the JSON-string is decoded as UTF-8 unless it
+ * is lacking the UTF-8 byte order mark and isn't valid UTF-8, which is the case
+ * with Latin-1 encoded JSON-strings of legacy buffers.
+ *
+ * @param {Buffer} dataBuffer
+ * 		Buffer containing JSON-string of object, optionally surrounded by noise
+ * @returns {object}
+ * 		Extracted object
+ * @throws
+ * 		An Error is thrown if buffer does not contain JSON-encoded object.
+ */
+function bufferToObject( dataBuffer ) {
+	const start = dataBuffer.indexOf( 0x7b );
+	const end = dataBuffer.lastIndexOf( 0x7d );
+	if ( start === -1 || end <= start ) {
+		throw new Error( "Crypto: Invalid arguments" );
+	}
+
+	const jsonBuffer = dataBuffer.slice( start, end + 1 );
+	const hasMarker = start >= Utf8Marker.length && Utf8Marker.equals( dataBuffer.slice( start - Utf8Marker.length, start ) );
+
+	if ( hasMarker || Buffer.from( jsonBuffer.toString( "utf8" ), "utf8" ).equals( jsonBuffer ) ) {
+		return JSON.parse( jsonBuffer.toString( "utf8" ) );
+	}
+
+	return JSON.parse( jsonBuffer.toString( "latin1" ) );
+}
+
+/**
+ * Creates private key object from a JSON Web Key or any other form
+ * supported by crypto.createPrivateKey().
+ *
+ * @param {KeyObject|string|object} privateKey
+ * 		Private key description
+ * @returns {KeyObject}
+ * 		Private key
+ */
+function toPrivateKeyObject( privateKey ) {
+	if ( privateKey instanceof Crypto.KeyObject ) {
+		return privateKey;
+	}
+	if ( typeof privateKey === "object" && privateKey.kty ) {
+		return Crypto.createPrivateKey( { key: privateKey, format: "jwk" } );
+	}
+
+	return Crypto.createPrivateKey( privateKey );
+}
+
+/**
+ * Maps name of RSA-OAEP algorithm used in JSON Web Keys to the name of its
+ * hash function used by Node's crypto module.
+ *
+ * @param {string} alg
+ * 		Algorithm name, e.g. "RSA-OAEP-256"
+ * @returns {string|null}
+ * 		Hash function, e.g. "sha256", or
+ * 		null if algorithm isn't supported
+ */
+function toOaepHash( alg ) {
+	const hash = Object.keys( AsymmetricHashes ).find( name => AsymmetricHashes[name] === alg );
+
+	return hash == null ? null : hash.replace( "-", "" ).toLowerCase();
+}
+
+/**
+ * Selects hash function to use with RSA-OAEP and a private key.
+ *
+ * @param {KeyObject|string|object} privateKey
+ * 		Private key, JSON Web Key may name its algorithm in property "alg"
+ * @param {string|null} hash
+ * 		Explicitly selected hash function, e.g. "SHA-384", or
+ * 		null for taking it from private key's JSON Web Key, defaulting to SHA-256
+ * @returns {string}
+ * 		Hash function, e.g. "sha256"
+ * @throws
+ * 		An Error is thrown if explicitly selected hash function isn't supported.
+ */
+function getOaepHash( privateKey, hash ) {
+	if ( hash != null ) {
+		if ( !AsymmetricHashes.hasOwnProperty( hash ) ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		return toOaepHash( AsymmetricHashes[hash] );
+	}
+
+	const alg = privateKey instanceof Crypto.KeyObject || typeof privateKey !== "object" ? null : privateKey.alg;
+
+	return ( alg != null && toOaepHash( alg ) ) || "sha256";
+}
+
+/**
+ * Extracts JSON Web Key from a public key string as exported by the browser.
+ *
+ * @param {string} keyString
+ * 		Public key in the format "$ceph1-publ$jwk$<n>", "$ceph2-publ$jwk$<modulus-length>$<hash>$<e>$<n>"
+ * 		or "$ceph1-ecdh$jwk$<curve>$<x>$<y>"
+ * @returns {object|null}
+ * 		Public key as JSON Web Key, or
+ * 		null if the string isn't well formatted
+ */
+function parsePublicKeyString( keyString ) {
+	if ( typeof keyString !== "string" ) {
+		return null;
+	}
+
+	if ( keyString.length > 16 && keyString.substr( 0, 16 ) === "$ceph1-publ$jwk$" ) {
+		return { kty: "RSA", alg: "RSA-OAEP-256", e: "AQAB", n: keyString.substr( 16 ) };
+	}
+
+	const rsaMatch = /^\$ceph2-publ\$jwk\$\d+\$([^$]+)\$([^$]+)\$([^$]+)$/.exec( keyString );
+	if ( rsaMatch && AsymmetricHashes.hasOwnProperty( rsaMatch[1] ) ) {
+		return { kty: "RSA", alg: AsymmetricHashes[rsaMatch[1]], e: rsaMatch[2], n: rsaMatch[3] };
+	}
+
+	const ecMatch = /^\$ceph1-ecdh\$jwk\$([^$]+)\$([^$]+)\$([^$]+)$/.exec( keyString );
+	if ( ecMatch && KeyAgreementCurves.indexOf( ecMatch[1] ) !== -1 ) {
+		return { kty: "EC", crv: ecMatch[1], x: ecMatch[2], y: ecMatch[3] };
+	}
+
+	return null;
+}
+
+/**
+ * Describes a public key given as JSON Web Key in a public key string
+ * the same way the browser's implementation does.
+ *
+ * @param {object} keyJWK
+ * 		Public key as JSON Web Key
+ * @returns {string}
+ * 		Public key in the format "$ceph1-publ$jwk$<n>", "$ceph2-publ$jwk$<modulus-length>$<hash>$<e>$<n>"
+ * 		or "$ceph1-ecdh$jwk$<curve>$<x>$<y>"
+ * @throws
+ * 		An Error is thrown if the key isn't supported.
+ */
+function toPublicKeyString( keyJWK ) {
+	if ( keyJWK.kty === "EC" && KeyAgreementCurves.indexOf( keyJWK.crv ) !== -1 ) {
+		return `$ceph1-ecdh$jwk$${keyJWK.crv}$${keyJWK.x}$${keyJWK.y}`;
+	}
+
+	if ( keyJWK.kty !== "RSA" ) {
+		throw new Error( "Crypto: Invalid arguments" );
+	}
+
+	const hash = keyJWK.alg == null ? "SHA-256" : Object.keys( AsymmetricHashes ).find( name => AsymmetricHashes[name] === keyJWK.alg );
+	if ( !hash ) {
+		throw new Error( "Crypto: Invalid arguments" );
+	}
+
+	if ( keyJWK.e === "AQAB" && hash === "SHA-256" ) {
+		return "$ceph1-publ$jwk$" + keyJWK.n;
+	}
+
+	const modulusLength = Math.floor( keyJWK.n.replace( /=+$/, "" ).length * 3 / 4 ) * 8;
+
+	return `$ceph2-publ$jwk$${modulusLength}$${hash}$${keyJWK.e}$${keyJWK.n}`;
+}
+
+/**
+ * Creates public key object from a JSON Web Key ignoring any properties
+ * not describing the key material.
+ *
+ * @param {object} keyJWK
+ * 		Public RSA or EC key as JSON Web Key
+ * @returns {KeyObject}
+ * 		Public key
+ */
+function createPublicKeyFromJWK( keyJWK ) {
+	const material = keyJWK.kty === "EC" ?
+		{ kty: "EC", crv: keyJWK.crv, x: keyJWK.x, y: keyJWK.y } :
+		{ kty: keyJWK.kty, n: keyJWK.n, e: keyJWK.e };
+
+	return Crypto.createPublicKey( { key: material, format: "jwk" } );
+}
+
+/**
+ * Detects format of a public key given to importPublicKey().
+ *
+ * @param {string|object|Buffer|Uint8Array|ArrayBuffer} key
+ * 		Public key in any supported format
+ * @returns {string|null}
+ * 		Detected format "ceph", "pem", "jwk" or "spki", or
+ * 		null if format isn't supported
+ */
+function detectPublicKeyFormat( key ) {
+	if ( typeof key === "string" ) {
+		const trimmed = key.trim();
+
+		if ( trimmed.charAt( 0 ) === "$" ) {
+			return "ceph";
+		}
+		if ( trimmed.indexOf( "-----BEGIN PUBLIC KEY-----" ) === 0 ) {
+			return "pem";
+		}
+		if ( trimmed.charAt( 0 ) === "{" ) {
+			return "jwk";
+		}
+
+		return null;
+	}
+
+	if ( key instanceof Uint8Array || key instanceof ArrayBuffer ) {
+		return "spki";
+	}
+
+	if ( key != null && typeof key === "object" && typeof key.kty === "string" ) {
+		return "jwk";
+	}
+
+	return null;
+}
+
+/**
+ * Creates public key object from a public key string as exported by the browser.
+ *
+ * @param {string} keyString
+ * 		Public key in the format "$ceph1-publ$jwk$<key>" or "$ceph2-publ$jwk$<modulus-length>$<hash>$<e>$<key>"
+ * @returns {{key: KeyObject, oaepHash: string}}
+ * 		Public key and hash function to use with RSA-OAEP
+ */
+function importPublicKeyString( keyString ) {
+	const keyJWK = parsePublicKeyString( keyString );
+	if ( keyJWK == null || keyJWK.kty !== "RSA" ) {
+		throw new Error( "Crypto: Invalid arguments" );
+	}
+
+	return {
+		key: createPublicKeyFromJWK( keyJWK ),
+		oaepHash: toOaepHash( keyJWK.alg ),
+	};
+}
+
+/**
+ * Splits a JSON Web Encryption in compact or JSON serialisation into its parts
+ * just like the browser's implementation does.
+ *
+ * @param {string|object} jwe
+ * 		JWE in compact or JSON serialisation
+ * @returns {Array<object>}
+ * 		Lists decoded parts per recipient
+ * @throws
+ * 		An Error is thrown if the JWE is malformed.
+ */
+function parseJWE( jwe ) {
+	let encoded = jwe;
+	if ( typeof jwe === "string" ) {
+		const segments = jwe.split( "." );
+		if ( segments.length !== 5 ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		encoded = {
+			protected: segments[0],
+			encrypted_key: segments[1], // eslint-disable-line camelcase
+			iv: segments[2],
+			ciphertext: segments[3],
+			tag: segments[4],
+		};
+	}
+
+	if ( encoded == null || typeof encoded !== "object" || typeof encoded.protected !== "string" ) {
+		throw new Error( "Crypto: Invalid arguments" );
+	}
+
+	const protectedHeader = JSON.parse( Buffer.from( encoded.protected, "base64url" ).toString( "utf8" ) );
+	const recipients = Array.isArray( encoded.recipients ) ? encoded.recipients : [encoded];
+	const additionalData = encoded.protected + ( typeof encoded.aad === "string" ? "." + encoded.aad : "" );
+
+	return recipients.map( recipient => {
+		if ( typeof recipient.encrypted_key !== "string" || typeof encoded.iv !== "string" ||
+		     typeof encoded.ciphertext !== "string" || typeof encoded.tag !== "string" ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		return {
+			header: Object.assign( {}, encoded.unprotected, recipient.header, protectedHeader ),
+			encryptedKey: Buffer.from( recipient.encrypted_key, "base64url" ),
+			iv: Buffer.from( encoded.iv, "base64url" ),
+			ciphertext: Buffer.from( encoded.ciphertext, "base64url" ),
+			tag: Buffer.from( encoded.tag, "base64url" ),
+			additionalData: Buffer.from( additionalData, "ascii" ),
+		};
+	} );
+}
+
 module.exports = {
+	/**
+	 * Converts a public key into a public key string as used by encryptObject()
+	 * and the browser's implementation.
+	 *
+	 * The key may be given as public key string, as JSON Web Key (object or
+	 * JSON string), as DER-encoded SubjectPublicKeyInfo or in PEM format.
+	 * The format is detected automatically unless it is given explicitly.
+	 * RSA keys given as SubjectPublicKeyInfo or PEM are used with SHA-256.
+	 *
+	 * @param {string|object|Buffer|Uint8Array|ArrayBuffer} key
+	 * 		Public key
+	 * @param {string} format
+	 * 		Format of key, one of "ceph", "jwk", "spki" or "pem", omit for detecting it
+	 * @returns {string}
+	 * 		Public key string
+	 */
+	importPublicKey( key, format = null ) {
+		const detected = detectPublicKeyFormat( key );
+		if ( detected == null || ( format != null && format !== detected ) ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		let keyJWK;
+		try {
+			switch ( detected ) {
+				case "ceph" :
+					keyJWK = parsePublicKeyString( key.trim() );
+					break;
+
+				case "jwk" :
+					keyJWK = typeof key === "string" ? JSON.parse( key ) : key;
+					createPublicKeyFromJWK( keyJWK );
+					break;
+
+				case "pem" :
+					keyJWK = Crypto.createPublicKey( key ).export( { format: "jwk" } );
+					break;
+
+				default :
+					keyJWK = Crypto.createPublicKey( { key: Buffer.from( key instanceof ArrayBuffer ? new Uint8Array( key ) : key ), format: "der", type: "spki" } )
+						.export( { format: "jwk" } );
+			}
+		} catch ( error ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		if ( keyJWK == null ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		return toPublicKeyString( keyJWK );
+	},
+
+	/**
+	 * Converts a public key string into another format.
+	 *
+	 * @param {string} publicKeyString
+	 * 		Public key string as exported by the browser
+	 * @param {string} format
+	 * 		Format of exported key, one of "ceph", "jwk", "spki" or "pem"
+	 * @returns {string|object|Buffer}
+	 * 		Public key string, JSON Web Key, DER-encoded SubjectPublicKeyInfo
+	 * 		or PEM-encoded public key depending on selected format
+	 */
+	exportPublicKey( publicKeyString, format = "ceph" ) {
+		const keyJWK = parsePublicKeyString( publicKeyString );
+		if ( keyJWK == null ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		switch ( format ) {
+			case "ceph" :
+				return publicKeyString;
+			case "jwk" :
+				return Object.assign( { ext: true }, keyJWK );
+			case "spki" :
+			case "pem" :
+				return createPublicKeyFromJWK( keyJWK ).export( { format: format === "pem" ? "pem" : "der", type: "spki" } );
+			default :
+				throw new Error( "Crypto: Invalid arguments" );
+		}
+	},
+
 	/**
 	 * This function takes a password and a salt string and
 	 * generates a corresponding hash.
 	 *
+	 * By default the hash is derived using PBKDF2, resulting in a hash string
+	 * in the format "$ceph2$pbkdf2-<hash>$i=<iterations>$<salt-base64>$<hash-base64>".
+	 * Select version 1 in options for the legacy single SHA-256 hash.
+	 *
 	 * @param {string} password
 	 * 		The password to be hashed in clear text
 	 * @param {string|null} salt
 	 * 		A generated and encoded salt string which will be used for the hashing;
 	 * 		Set to null if a new salt shall be generated (16 bytes long)
 	 * @param {string} encoding
-	 * 		Encoding of the given salt which shall also be used for the hash string's components;
+	 * 		Encoding of the given salt which shall also be used for the hash string's components in version 1;
 	 * 		Possible values: "base64" or "hex"
+	 * @param {object} options
+	 * 		Hashing parameters, e.g. { version: 2, hash: "sha256", iterations: 100000 };
+	 * 		Supported hashes: "sha256", "sha384" or "sha512"
 	 * @returns {string}
-	 * 		Salted hash in the format "$ceph1$<encoding>$<salt-encoded>$<hash-encoded>"
+	 * 		Salted hash in the format "$ceph2$pbkdf2-<hash>$i=<iterations>$<salt-encoded>$<hash-encoded>" or
+	 * 		"$ceph1$<encoding>$<salt-encoded>$<hash-encoded>"
 	 */
-	hashPassword( password, salt = null, encoding = "base64" ) {
+	hashPassword( password, salt = null, encoding = "base64", options = {} ) {
 		if (
 			typeof password !== "string" || password === "" ||
 			( salt != null && ( typeof salt !== "string" || salt === "" ) ) ||
@@ -55,6 +810,8 @@ module.exports = {
 			throw new Error( "Crypto: Invalid arguments" );
 		}
 
+		const { version, hash: hashName, iterations } = normalizePasswordHashOptions( options );
+
 		let saltEncoded;
 		if ( salt == null ) {
 			const saltBuffer = Crypto.randomBytes( 16 );
@@ -69,6 +826,13 @@ module.exports = {
 			saltEncoded = salt;
 		}
 
+		if ( version === 2 ) {
+			const saltBuffer = Buffer.from( saltEncoded, encoding );
+			const derived = Crypto.pbkdf2Sync( Buffer.from( password ), saltBuffer, iterations, PasswordHashLengths[hashName], hashName );
+
+			return `$ceph2$pbkdf2-${hashName}$i=${iterations}$${toUnpaddedBase64( saltBuffer )}$${toUnpaddedBase64( derived )}`;
+		}
+
 		const hexMessage = Buffer.from( password ).toString( "hex" ) + (
 			encoding === "base64" ?
 				Buffer.from( saltEncoded, "base64" ).toString( "hex" ) :
@@ -97,12 +861,16 @@ module.exports = {
 	 * This function takes a password and a hash string and
 	 * checks if both are matching.
 	 *
+	 * The computed hash is compared with the given one in constant time.
+	 *
 	 * @param {string} password
 	 * 		Password in clear text
 	 * @param {string} hash
-	 * 		Full hash-string in the format "$ceph1$<encoding>$<salt-encoded>$<hash-encoded>"
-	 * @returns {boolean}
-	 * 		Returns true iff the given password and the hash fit together
+	 * 		Full hash-string in the format "$ceph2$<kdf>$<params>$<salt-encoded>$<hash-encoded>" or
+	 * 		"$ceph1$<encoding>$<salt-encoded>$<hash-encoded>"
+	 * @returns {boolean|null}
+	 * 		Returns true iff the given password and the hash fit together, or
+	 * 		null if the hash string isn't well formatted
 	 */
 	checkPassword( password, hash ) {
 		if (
@@ -112,40 +880,32 @@ module.exports = {
 			throw new Error( "Crypto: Invalid arguments" );
 		}
 
-		const hashMatch = /^\$ceph1\$([^$]+)\$([^$]+)\$([^$]+)$/.exec( hash );
-		if ( !hashMatch ) {
+		const parsed = parsePasswordHash( hash );
+		if ( !parsed ) {
 			return null;
 		}
 
-		const encoding = hashMatch[1];
-		if ( encoding !== "base64" && encoding !== "hex" ) {
-			return null;
-		}
-
-		const hexMessage = Buffer.from( password ).toString( "hex" ) + (
-			encoding === "base64" ?
-				Buffer.from( hashMatch[2], "base64" ).toString( "hex" ) :
-				hashMatch[2]
-		);
-
-		const hashService = Crypto.createHash( "sha256" );
-		hashService.update( hexMessage, "hex" );
-		const newHash = hashService.digest( encoding );
+		let newHash;
+		if ( parsed.version === 2 ) {
+			newHash = Crypto.pbkdf2Sync( Buffer.from( password ), parsed.salt, parsed.iterations, PasswordHashLengths[parsed.hash], parsed.hash );
+		} else {
+			const hashService = Crypto.createHash( "sha256" );
+			hashService.update( Buffer.concat( [ Buffer.from( password ), parsed.salt ] ) );
+			newHash = hashService.digest();
 
-		if ( encoding === "base64" ) {
-			const newHashMatch = /^([^=]+)=*$/.exec( newHash );
-			if ( ! newHashMatch ) {
-				throw new Error( "Crypto: Encoding failed" );
+			// legacy hashes of passwords in Latin-1 range have been computed from Latin-1 encoding in browser
+			if ( !safeEqual( parsed.digest, newHash ) && /[\u0080-\u00ff]/.test( password ) && !/[\u0100-\uffff]/.test( password ) ) {
+				newHash = Crypto.createHash( "sha256" ).update( Buffer.concat( [ Buffer.from( password, "latin1" ), parsed.salt ] ) ).digest();
 			}
-			return hashMatch[3] === newHashMatch[1];
 		}
 
-		return hashMatch[3] === newHash;
+		return safeEqual( parsed.digest, newHash );
 	},
 
 	/**
 	 * @param {string} hash
-	 * 		Hash string in format "$ceph1$<encoding>$<salt-encoded>$<hash-encoded"
+	 * 		Hash string in format "$ceph2$<kdf>$<params>$<salt-encoded>$<hash-encoded>" or
+	 * 		"$ceph1$<encoding>$<salt-encoded>$<hash-encoded>"
 	 * @returns {string|null}
 	 * 		Base64-encoded salt string, or
 	 * 		null if the hash string isn't well formatted
@@ -155,20 +915,575 @@ module.exports = {
 			throw new Error( "Crypto: Invalid arguments" );
 		}
 
-		const hashMatch = /^\$ceph1\$([^$]+)\$([^$]+)\$([^$]+)$/.exec( hash );
-		if ( !hashMatch ) {
+		const parsed = parsePasswordHash( hash );
+		if ( !parsed ) {
 			return null;
 		}
 
-		const encoding = hashMatch[1];
-		if ( encoding !== "base64" && encoding !== "hex" ) {
+		if ( parsed.encoding === "base64" ) {
+			return parsed.saltEncoded;
+		}
+
+		return parsed.salt.toString( "base64" );
+	},
+
+	/**
+	 * This function checks if a hash string was created with parameters
+	 * weaker than those of the given policy, thus should be replaced.
+	 *
+	 * Hashes in format "$ceph1$..." are considered outdated by any policy
+	 * requesting version 2.
+	 *
+	 * @param {string} hash
+	 * 		Full hash-string as returned by hashPassword()
+	 * @param {object} policy
+	 * 		Required hashing parameters, e.g. { version: 2, hash: "sha256", iterations: 100000 }
+	 * @returns {boolean}
+	 * 		True iff the hash should be re-created using the given policy
+	 */
+	needsRehash( hash, policy = {} ) {
+		if ( typeof hash !== "string" || hash === "" ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		const required = normalizePasswordHashOptions( policy );
+		const parsed = parsePasswordHash( hash );
+		if ( !parsed ) {
+			return true;
+		}
+
+		if ( parsed.version !== required.version || parsed.version === 1 ) {
+			return parsed.version < required.version;
+		}
+
+		return PasswordHashLengths[parsed.hash] < PasswordHashLengths[required.hash] ||
+			parsed.iterations < required.iterations;
+	},
+
+	/**
+	 * This function checks a password against a hash string and
+	 * creates a new hash string on success if the existing one is outdated.
+	 *
+	 * @param {string} password
+	 * 		Password in clear text
+	 * @param {string} hash
+	 * 		Full hash-string as returned by hashPassword()
+	 * @param {object} policy
+	 * 		Required hashing parameters, e.g. { version: 2, hash: "sha256", iterations: 100000 }
+	 * @returns {object}
+	 * 		Result in property "valid" and a new hash string in property "newHash"
+	 * 		if the password is valid and the given hash is outdated, null otherwise
+	 */
+	verifyAndUpgrade( password, hash, policy = {} ) {
+		const valid = module.exports.checkPassword( password, hash ) === true;
+		let newHash = null;
+
+		if ( valid && module.exports.needsRehash( hash, policy ) ) {
+			newHash = module.exports.hashPassword( password, null, "base64", policy );
+		}
+
+		return { valid, newHash };
+	},
+
+	/**
+	 * This function calculates the ID of a public key as included with objects
+	 * encrypted by encryptObject().
+	 *
+	 * @param {string} publicKeyString
+	 * 		Public key string
+	 * @returns {string}
+	 * 		Hex-encoded ID of public key
+	 */
+	getKeyId( publicKeyString ) {
+		if ( typeof publicKeyString !== "string" || publicKeyString === "" ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		return computeKeyId( publicKeyString );
+	},
+
+	/**
+	 * This function encodes a given object for the owner of the given public key.
+	 *
+	 * The result is compatible with encryptObject() of the browser's implementation
+	 * and can be decrypted there using the related private key.
+	 *
+	 * @param {string} publicKeyString
+	 * 		Public key in the format "$ceph1-publ$jwk$<key>" or "$ceph2-publ$jwk$<modulus-length>$<hash>$<e>$<key>"
+	 * @param {Object} dataObject
+	 * 		Data which shall be encoded
+	 * @param {number} version
+	 *		Version of the internal encryption algorithm to use, version 5 includes ID of public key
+	 * @returns {{message: string, key: string}}
+	 * 		Object which contains the encrypted message and the encrypted symmetric key
+	 */
+	encryptObject( publicKeyString, dataObject, version = 5 ) {
+		const sAlgo = getObjectAlgorithm( version );
+		if ( !sAlgo || dataObject == null || typeof dataObject !== "object" ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		const publicKey = importPublicKeyString( publicKeyString );
+		const header = version === 5 ? `${version}$${computeKeyId( publicKeyString )}` : null;
+
+		const iv = Crypto.randomBytes( sAlgo.ivBytes );
+		const sKey = Crypto.randomBytes( 32 );
+		const cipherBuffer = encryptSymmetric( sAlgo, sKey, iv, objectToBuffer( dataObject, true ), header == null ? null : Buffer.from( header, "latin1" ) );
+
+		const keyBuffer = Crypto.publicEncrypt( {
+			key: publicKey.key,
+			padding: Crypto.constants.RSA_PKCS1_OAEP_PADDING,
+			oaepHash: publicKey.oaepHash,
+		}, Buffer.concat( [ iv, sKey ] ) );
+
+		return {
+			message: ( header == null ? `${version}$` : `${header}$` ) + cipherBuffer.toString( "base64" ),
+			key:     keyBuffer.toString( "base64" ),	// eslint-disable-line key-spacing
+		};
+	},
+
+	/**
+	 * This function takes the results of encryptObject() and
+	 * decrypts the contained object.
+	 *
+	 * Objects encrypted with encryptObject() of the browser's implementation are supported as well.
+	 *
+	 * @param {KeyObject|string|object} privateKey
+	 * 		Private key as KeyObject, as JSON Web Key or in any other form supported by crypto.createPrivateKey()
+	 * @param {string} keyString
+	 * 		Base64-encoded string with the asymmetric encrypted key and initialisation vector
+	 * @param {string} messageString
+	 * 		Base64-encoded string with the symmetric encrypted object
+	 * @param {string} publicKey
+	 * 		Public key string of private key or its ID as returned by getKeyId(), omit
+	 * 		for skipping the comparison with ID of public key included with the object;
+	 * 		a public key string also selects the hash function used with RSA-OAEP
+	 * @param {string|null} hash
+	 * 		Hash function used with RSA-OAEP unless given public key string selects it, e.g. "SHA-384", or
+	 * 		null for taking it from private key's JSON Web Key, defaulting to SHA-256
+	 * @returns {Object|false|null}
+	 * 		Decrypted object, or
+	 *		false if the private key doesn't fit, or
+	 *		null if the object was encrypted for a different key according to its key ID
+	 */
+	decryptObject( privateKey, keyString, messageString, publicKey = null, hash = null ) {
+		if ( privateKey == null || typeof keyString !== "string" || typeof messageString !== "string" ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+		if ( publicKey != null && ( typeof publicKey !== "string" || publicKey === "" ) ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		let cipherBuffer, version, keyId;
+		const match = /^(\d+)\$(?:([0-9a-f]{16})\$)?(.+)$/.exec( messageString );
+		if ( match == null ) {
+			cipherBuffer = Buffer.from( messageString, "base64" );
+			version = 1;
+		} else {
+			cipherBuffer = Buffer.from( match[3], "base64" );
+			version = parseInt( match[1] );
+			keyId = match[2];
+		}
+
+		const sAlgo = getObjectAlgorithm( version );
+		if ( !sAlgo || ( version === 5 ) !== ( keyId != null ) ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		const isKeyId = publicKey != null && /^[0-9a-f]{16}$/.test( publicKey );
+
+		if ( keyId != null && publicKey != null ) {
+			const expectedKeyId = isKeyId ? publicKey : computeKeyId( publicKey );
+			if ( keyId !== expectedKeyId ) {
+				return null;
+			}
+		}
+
+		const additionalData = keyId == null ? null : Buffer.from( `${version}$${keyId}`, "latin1" );
+
+		const oaepHash = publicKey == null || isKeyId ? getOaepHash( privateKey, hash ) : importPublicKeyString( publicKey ).oaepHash;
+		const key = toPrivateKeyObject( privateKey );
+
+		try {
+			const ivAndKey = Crypto.privateDecrypt( {
+				key,
+				padding: Crypto.constants.RSA_PKCS1_OAEP_PADDING,
+				oaepHash,
+			}, Buffer.from( keyString, "base64" ) );
+
+			const sKey = ivAndKey.slice( sAlgo.ivBytes );
+			const iv = ivAndKey.slice( 0, sAlgo.ivBytes );
+
+			// modified data may still have valid padding with unauthenticated version 1, but won't be valid JSON
+			return bufferToObject( decryptSymmetric( sAlgo, sKey, iv, cipherBuffer, additionalData ) );
+		} catch ( error ) {
+			return false;
+		}
+	},
+
+	/**
+	 * This function encrypts an object as JSON Web Encryption (RFC 7516)
+	 * using RSA-OAEP-256 for the content encryption key and A256GCM for the content.
+	 *
+	 * The result is compatible with decryptJWE() of the browser's implementation.
+	 *
+	 * @param {string} publicKeyString
+	 * 		Public RSA key using SHA-256 as exported by the browser
+	 * @param {object} dataObject
+	 * 		Object which shall be encrypted
+	 * @param {string} serialization
+	 * 		"compact" for compact serialisation or "json" for flattened JSON serialisation
+	 * @returns {string|object}
+	 * 		JWE in selected serialisation
+	 */
+	encryptObjectAsJWE( publicKeyString, dataObject, serialization = "compact" ) {
+		if ( dataObject == null || typeof dataObject !== "object" || ( serialization !== "compact" && serialization !== "json" ) ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		const publicKey = importPublicKeyString( publicKeyString );
+		if ( publicKey.oaepHash !== "sha256" ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		const protectedHeader = Buffer.from( JSON.stringify( { alg: "RSA-OAEP-256", enc: "A256GCM" } ), "utf8" ).toString( "base64url" );
+		const cek = Crypto.randomBytes( 32 );
+		const iv = Crypto.randomBytes( 12 );
+
+		const encryptedKey = Crypto.publicEncrypt( {
+			key: publicKey.key,
+			padding: Crypto.constants.RSA_PKCS1_OAEP_PADDING,
+			oaepHash: "sha256",
+		}, cek );
+
+		const cipher = Crypto.createCipheriv( "aes-256-gcm", cek, iv );
+		cipher.setAAD( Buffer.from( protectedHeader, "ascii" ) );
+		const ciphertext = Buffer.concat( [ cipher.update( JSON.stringify( dataObject ), "utf8" ), cipher.final() ] );
+
+		const parts = {
+			protected: protectedHeader,
+			encrypted_key: encryptedKey.toString( "base64url" ), // eslint-disable-line camelcase
+			iv: iv.toString( "base64url" ),
+			ciphertext: ciphertext.toString( "base64url" ),
+			tag: cipher.getAuthTag().toString( "base64url" ),
+		};
+
+		if ( serialization === "json" ) {
+			return parts;
+		}
+
+		return [ parts.protected, parts.encrypted_key, parts.iv, parts.ciphertext, parts.tag ].join( "." );
+	},
+
+	/**
+	 * This function decrypts an object from a JSON Web Encryption (RFC 7516)
+	 * using RSA-OAEP-256 and A256GCM.
+	 *
+	 * @param {KeyObject|string|object} privateKey
+	 * 		Private key, e.g. as returned by importPrivateKey()
+	 * @param {string|object} jwe
+	 * 		JWE in compact, flattened JSON or general JSON serialisation
+	 * @returns {object|false}
+	 * 		Decrypted object, or
+	 * 		false if the private key doesn't fit
+	 */
+	decryptJWE( privateKey, jwe ) {
+		let recipients;
+		try {
+			recipients = parseJWE( jwe );
+		} catch ( error ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		if ( recipients.some( ( { header } ) => header.alg !== "RSA-OAEP-256" || header.enc !== "A256GCM" || header.zip != null ) ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		const key = toPrivateKeyObject( privateKey );
+
+		for ( let i = 0; i < recipients.length; i++ ) {
+			const { encryptedKey, iv, ciphertext, tag, additionalData } = recipients[i];
+
+			let plainBuffer;
+			try {
+				const cek = Crypto.privateDecrypt( {
+					key,
+					padding: Crypto.constants.RSA_PKCS1_OAEP_PADDING,
+					oaepHash: "sha256",
+				}, encryptedKey );
+
+				const decipher = Crypto.createDecipheriv( "aes-256-gcm", cek, iv );
+				decipher.setAAD( additionalData );
+				decipher.setAuthTag( tag );
+				plainBuffer = Buffer.concat( [ decipher.update( ciphertext ), decipher.final() ] );
+			} catch ( error ) {
+				continue;
+			}
+
+			return JSON.parse( plainBuffer.toString( "utf8" ) );
+		}
+
+		return false;
+	},
+
+	/**
+	 * Generates a symmetric key using the given password and
+	 * encrypts the given data-string with this key.
+	 *
+	 * The result is compatible with encryptData() of the browser's implementation.
+	 *
+	 * @param {string} dataString
+	 *		String with the data that shall be encoded
+	 * @param {string} password
+	 *		Password which will be needed to decrypt the data, later.
+	 * @param {number} version
+	 *		Version of the internal encryption algorithm to use
+	 * @param {number} iterations
+	 *		Number of PBKDF2 iterations used to derive the key (since version 3)
+	 * @returns {string}
+	 *		String with the encoded data
+	 */
+	encryptData( dataString, password, version = 3, iterations = PasswordDerivation.iterations ) {
+		const sAlgo = getSymmetricAlgorithm( version );
+		if (
+			!sAlgo || typeof dataString !== "string" || typeof password !== "string" || password === "" ||
+			!isValidIterations( iterations )
+		) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		const iv = Crypto.randomBytes( sAlgo.ivBytes );
+
+		let header = `${version}$`;
+		let salt = null;
+		if ( version >= 3 ) {
+			salt = Crypto.randomBytes( PasswordDerivation.saltBytes );
+			header += `${iterations}$${salt.toString( "hex" )}$`;
+		}
+
+		const sKey = createPasswordKey( password, version, salt, iterations );
+		const encrypted = encryptSymmetric( sAlgo, sKey, iv, objectToBuffer( { data: dataString }, true ) );
+
+		return header + iv.toString( "hex" ) + encrypted.toString( "hex" );
+	},
+
+	/**
+	 * Generates a symmetric key using the given password and tries to decrypt the encoded data.
+	 *
+	 * This function is used to revert the encoding of encryptData() of server or browser.
+	 *
+	 * @param {string} encryptedData
+	 *		String with the data which was encrypted with encryptData() and the given password
+	 * @param {string} password
+	 *		Password to use for decryption
+	 * @returns {string|null}
+	 *		Decrypted data iff the password was correct, or
+	 *		null in case of problems with the password
+	 */
+	decryptData( encryptedData, password ) {
+		if ( typeof encryptedData !== "string" || encryptedData === "" || typeof password !== "string" || password === "" ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		let data, version;
+		const match = /^(\d+)\$(.+)$/.exec( encryptedData );
+		if ( match == null ) {
+			data = encryptedData;
+			version = 1;
+		} else {
+			data = match[2];
+			version = parseInt( match[1] );
+		}
+
+		const sAlgo = getSymmetricAlgorithm( version );
+		if ( !sAlgo ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		let salt = null, iterations = 0;
+		if ( version >= 3 ) {
+			const headerMatch = /^(\d+)\$((?:[0-9a-f]{2})+)\$(.+)$/i.exec( data );
+			if ( headerMatch == null ) {
+				throw new Error( "Crypto: Invalid arguments" );
+			}
+			iterations = parseInt( headerMatch[1] );
+			if ( !isValidIterations( iterations ) ) {
+				throw new Error( "Crypto: Invalid arguments" );
+			}
+			salt = Buffer.from( headerMatch[2], "hex" );
+			data = headerMatch[3];
+		}
+
+		if ( !/^(?:[0-9a-f]{2})+$/i.test( data ) ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		const iv = Buffer.from( data.substr( 0, sAlgo.ivBytes * 2 ), "hex" );
+		const encrypted = Buffer.from( data.substr( sAlgo.ivBytes * 2 ), "hex" );
+
+		let obj;
+		try {
+			obj = bufferToObject( decryptSymmetric( sAlgo, createPasswordKey( password, version, salt, iterations ), iv, encrypted ) );
+		} catch ( error ) {
 			return null;
 		}
 
-		if ( encoding === "base64" ) {
-			return hashMatch[2];
+		if ( obj == null || typeof obj !== "object" || !obj.hasOwnProperty( "data" ) || typeof obj.data !== "string" ) {
+			return null;
 		}
 
-		return Buffer.from( hashMatch[2], "hex" ).toString( "base64" );
+		return obj.data;
+	},
+
+	/**
+	 * This function takes a private key exported by the browser's implementation
+	 * and imports it using the export password.
+	 *
+	 * @param {string} pKeyString
+	 *		Private key in the format "$ceph1-priv$hex$<encrypted-key>"
+	 * @param {string} exportPassword
+	 *		Password which was used to encrypt the private key
+	 * @returns {KeyObject|null}
+	 *		Imported private key, or
+	 *		null if the password is wrong
+	 */
+	importPrivateKey( pKeyString, exportPassword ) {
+		if ( typeof pKeyString !== "string" || pKeyString.substr( 0, 16 ) !== "$ceph1-priv$hex$" ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		const privateKeyJWK = module.exports.decryptData( pKeyString.substr( 16 ), exportPassword );
+		if ( privateKeyJWK == null ) {
+			return null;
+		}
+
+		return Crypto.createPrivateKey( { key: JSON.parse( privateKeyJWK ), format: "jwk" } );
+	},
+
+	/**
+	 * This function exports a private key into a string protected by the given password
+	 * which can be imported by importPrivateKey() of server and browser.
+	 *
+	 * @param {KeyObject|string|object} privateKey
+	 * 		Private key as KeyObject, as JSON Web Key or in any other form supported by crypto.createPrivateKey()
+	 * @param {string} exportPassword
+	 *		Password which will be needed to import the private key, later
+	 * @param {string|null} hash
+	 * 		Hash function to use with RSA-OAEP and the private key, e.g. "SHA-384", or
+	 * 		null for taking it from private key's JSON Web Key, defaulting to SHA-256
+	 * @returns {string}
+	 *		Private key in the format "$ceph1-priv$hex$<encrypted-key>"
+	 */
+	exportPrivateKey( privateKey, exportPassword, hash = null ) {
+		if ( privateKey == null || typeof exportPassword !== "string" || exportPassword === "" ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		const oaepHash = getOaepHash( privateKey, hash );
+		const key = toPrivateKeyObject( privateKey );
+		const privateKeyJWK = Object.assign( {
+			alg: "RSA-OAEP-" + oaepHash.substr( 3 ),
+			ext: true,
+			// eslint-disable-next-line camelcase
+			key_ops: ["decrypt"],
+		}, key.export( { format: "jwk" } ) );
+
+		return "$ceph1-priv$hex$" + module.exports.encryptData( JSON.stringify( privateKeyJWK ), exportPassword );
+	},
+
+	/**
+	 * This function generates a new RSA key-pair for asymmetric encryption
+	 * and exports it in the formats supported by importPublicKey() and
+	 * importPrivateKey() of the browser's implementation.
+	 *
+	 * @param {string} exportPassword
+	 * 		Password which will be needed to import the private key, later
+	 * @param {object} options
+	 * 		Parameters of key-pair, e.g. { modulusLength: 3072, hash: "SHA-384" };
+	 * 		Supported modulus lengths are 2048, 3072 or 4096, supported hashes are
+	 * 		"SHA-256", "SHA-384" or "SHA-512"
+	 * @returns {{publicKeyString: string, privateKeyString: string}}
+	 * 		Public key in the format "$ceph1-publ$jwk$<key>" or "$ceph2-publ$jwk$<modulus-length>$<hash>$<e>$<key>"
+	 * 		and private key in the format "$ceph1-priv$hex$<encrypted-key>"
+	 */
+	generateKeyPair( exportPassword, options = {} ) {
+		if ( typeof exportPassword !== "string" || exportPassword === "" || options == null || typeof options !== "object" ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		const { modulusLength = 2048, hash = "SHA-256" } = options;
+		if ( AsymmetricModulusLengths.indexOf( modulusLength ) === -1 || !AsymmetricHashes.hasOwnProperty( hash ) ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		const { publicKey, privateKey } = Crypto.generateKeyPairSync( "rsa", {
+			modulusLength,
+			publicExponent: 0x10001,
+		} );
+
+		return {
+			publicKeyString: toPublicKeyString( Object.assign( publicKey.export( { format: "jwk" } ), { alg: AsymmetricHashes[hash] } ) ),
+			privateKeyString: module.exports.exportPrivateKey( privateKey, exportPassword, hash ),
+		};
+	},
+
+	/**
+	 * This function calculates the SHA-256 fingerprint of a public key string
+	 * matching the one calculated by the browser's implementation.
+	 *
+	 * @param {string} publicKeyString
+	 * 		Public key string, e.g. in the format "$ceph1-publ$jwk$<key>"
+	 * @returns {{hex: string, numeric: string, words: string}}
+	 * 		Fingerprint as grouped hex string, as numeric safety number and as list of words
+	 */
+	fingerprint( publicKeyString ) {
+		if ( typeof publicKeyString !== "string" || publicKeyString === "" ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		const hash = Crypto.createHash( "sha256" ).update( publicKeyString, "latin1" ).digest();
+
+		const numeric = [];
+		for ( let i = 0; i < 30; i += 5 ) {
+			numeric.push( String( hash.readUIntBE( i, 5 ) % 100000 ).padStart( 5, "0" ) );
+		}
+
+		const words = [];
+		for ( let i = 0; i < 8; i++ ) {
+			words.push( FingerprintWords[hash[i]] );
+		}
+
+		return {
+			hex: hash.toString( "hex" ).match( /.{4}/g ).join( " " ),
+			numeric: numeric.join( " " ),
+			words: words.join( " " ),
+		};
+	},
+
+	/**
+	 * This function compares two fingerprints.
+	 *
+	 * Either fingerprint may be given as object returned by fingerprint() or
+	 * as any of its renderings. Case and separators are ignored. Every rendering
+	 * given for both fingerprints must match. The words are rendering the first
+	 * 8 bytes of the digest, only, thus prefer comparing the hex rendering.
+	 *
+	 * @param {object|string} a
+	 * 		First fingerprint
+	 * @param {object|string} b
+	 * 		Second fingerprint
+	 * @returns {boolean}
+	 * 		True iff both fingerprints are matching
+	 */
+	compareFingerprints( a, b ) {
+		if ( a == null || b == null ) {
+			throw new Error( "Crypto: Invalid arguments" );
+		}
+
+		const renderingsA = splitFingerprint( a );
+		const renderingsB = splitFingerprint( b );
+		const kinds = [ "hex", "numeric", "words" ].filter( kind => renderingsA[kind] !== "" && renderingsB[kind] !== "" );
+
+		return kinds.length > 0 && kinds.every( kind => renderingsA[kind] === renderingsB[kind] );
 	},
 };
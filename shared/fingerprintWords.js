@@ -0,0 +1,72 @@
+/**
+ * (c) 2018 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2018 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+"use strict";
+
+/**
+ * Lists words used to render fingerprints of public keys in a human-verifiable form.
+ *
+ * Every byte of a fingerprint is represented by the word at the byte's value.
+ * This list is shared by browser and server so both render matching values.
+ *
+ * @type {Array<string>}
+ */
+module.exports = [
+	"acid", "acorn", "actor", "adult", "agent", "alarm", "album", "alert",
+	"alley", "amber", "angel", "ankle", "apple", "apron", "arena", "arrow",
+	"atlas", "attic", "award", "bacon", "badge", "bagel", "baker", "bamboo",
+	"banana", "banjo", "barrel", "basin", "basket", "beach", "beard", "beaver",
+	"bell", "bench", "berry", "bicycle", "bishop", "blade", "board", "bonnet",
+	"bottle", "branch", "bread", "brick", "bridge", "broom", "bubble", "bucket",
+	"butter", "button", "cabin", "cactus", "camel", "camera", "candle", "canoe",
+	"canyon", "captain", "carpet", "carrot", "castle", "cattle", "cellar", "cement",
+	"chair", "chalk", "cherry", "chess", "circus", "clock", "cloud", "clover",
+	"coast", "cobra", "coconut", "coffee", "comet", "copper", "coral", "cotton",
+	"cowboy", "crane", "crayon", "cricket", "crown", "daisy", "dancer", "desert",
+	"diamond", "dinner", "doctor", "dolphin", "donkey", "dragon", "drawer", "dream",
+	"drum", "eagle", "earth", "easel", "echo", "elbow", "engine", "falcon",
+	"feather", "fence", "ferry", "fiddle", "finger", "flame", "flower", "forest",
+	"fossil", "fox", "garden", "garlic", "giant", "ginger", "giraffe", "glacier",
+	"glove", "goat", "gold", "gorilla", "grape", "guitar", "hammer", "harbor",
+	"harp", "helmet", "hermit", "honey", "horse", "hotel", "igloo", "island",
+	"ivory", "jacket", "jaguar", "jelly", "jewel", "jungle", "kettle", "kitten",
+	"koala", "ladder", "lagoon", "lamp", "lantern", "lemon", "leopard", "letter",
+	"lily", "lion", "lizard", "lobster", "magnet", "mango", "maple", "marble",
+	"meadow", "melon", "mirror", "monkey", "moon", "muffin", "museum", "needle",
+	"nest", "nickel", "noodle", "novel", "oasis", "ocean", "octopus", "olive",
+	"onion", "orange", "orchard", "otter", "owl", "paddle", "palace", "panda",
+	"panther", "parrot", "peach", "peanut", "pearl", "pebble", "pencil", "pepper",
+	"piano", "pigeon", "pillow", "pilot", "planet", "plum", "pocket", "pony",
+	"potato", "pumpkin", "puzzle", "quartz", "rabbit", "radio", "raft", "rainbow",
+	"raven", "ribbon", "river", "robot", "rocket", "saddle", "salmon", "sandal",
+	"scarf", "shadow", "shark", "shell", "silver", "sketch", "sled", "snail",
+	"spider", "spoon", "squirrel", "stable", "statue", "storm", "sugar", "summit",
+	"sunset", "swan", "tablet", "teapot", "temple", "thunder", "tiger", "tomato",
+	"tractor", "trumpet", "tulip", "turtle", "valley", "velvet", "violin", "volcano",
+	"wagon", "walnut", "whale", "window", "wizard", "wolf", "yacht", "zebra",
+];
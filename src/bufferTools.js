@@ -26,6 +26,108 @@
  * @author: cepharum
  */
 
+import GlobalScope from "./globalScope";
+
+/**
+ * UTF-8 byte order mark preceding JSON-strings in buffers with noise
+ *
+ * @type {Uint8Array}
+ */
+const Utf8Marker = Uint8Array.from( [ 0xef, 0xbb, 0xbf ] );
+
+const Base64Alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+const Base64UrlAlphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+
+/**
+ * Encodes data buffer using the given base64 alphabet.
+ *
+ * @param {Uint8Array} buf
+ * 		Data buffer to encode
+ * @param {string} alphabet
+ * 		64 characters representing the digits of encoding
+ * @param {boolean} padded
+ * 		True iff result shall be padded with "="
+ * @returns {string}
+ * 		Encoded data
+ */
+function encodeBase64( buf, alphabet, padded ) {
+	let encoded = "";
+
+	for ( let i = 0; i < buf.byteLength; i += 3 ) {
+		const count = Math.min( 3, buf.byteLength - i );
+		const value = ( buf[i] << 16 ) | ( ( count > 1 ? buf[i + 1] : 0 ) << 8 ) | ( count > 2 ? buf[i + 2] : 0 );
+
+		encoded += alphabet[( value >> 18 ) & 0x3f] + alphabet[( value >> 12 ) & 0x3f];
+		if ( count > 1 ) {
+			encoded += alphabet[( value >> 6 ) & 0x3f];
+		}
+		if ( count > 2 ) {
+			encoded += alphabet[value & 0x3f];
+		}
+	}
+
+	if ( padded && encoded.length % 4 ) {
+		encoded += "=".repeat( 4 - ( encoded.length % 4 ) );
+	}
+
+	return encoded;
+}
+
+/**
+ * Decodes string encoded with the given base64 alphabet.
+ *
+ * Padding is optional.
+ *
+ * @param {string} dataString
+ * 		Encoded data
+ * @param {string} alphabet
+ * 		64 characters representing the digits of encoding
+ * @param {string} method
+ * 		Name of calling method used in error messages
+ * @returns {Uint8Array}
+ * 		Decoded data buffer
+ * @throws
+ * 		An Error is thrown if the string is malformed.
+ */
+function decodeBase64( dataString, alphabet, method ) {
+	if ( typeof dataString !== "string" ) {
+		throw new Error( `BufferTools.${method}(): Invalid arguments` );
+	}
+
+	let digits = dataString;
+	if ( dataString.length % 4 === 0 ) {
+		digits = dataString.replace( /={1,2}$/, "" );
+	}
+
+	if ( digits.length % 4 === 1 ) {
+		throw new Error( `BufferTools.${method}(): Malformed input, invalid length` );
+	}
+
+	const buf = new Uint8Array( Math.floor( digits.length * 3 / 4 ) );
+	let value = 0, bits = 0, k = 0;
+
+	for ( let i = 0; i < digits.length; i++ ) {
+		const digit = alphabet.indexOf( digits[i] );
+		if ( digit === -1 ) {
+			throw new Error( `BufferTools.${method}(): Malformed input, invalid character at position ${i}` );
+		}
+
+		value = ( ( value << 6 ) | digit ) & 0xffffff;
+		bits += 6;
+
+		if ( bits >= 8 ) {
+			bits -= 8;
+			buf[k++] = ( value >> bits ) & 0xff;
+		}
+	}
+
+	if ( value & ( ( 1 << bits ) - 1 ) ) {
+		throw new Error( `BufferTools.${method}(): Malformed input, invalid trailing bits` );
+	}
+
+	return buf;
+}
+
 /**
  * This class provides support for the handling of Uint8Array data buffers
  */
@@ -128,6 +230,115 @@ const BufferTools = {
 		return String.fromCharCode.apply( null, new Uint8Array( buf ) );
 	},
 
+	/**
+	 * This method converts the given string into a data buffer using UTF-8 encoding.
+	 *
+	 * Unpaired surrogates are replaced with U+FFFD.
+	 *
+	 * @param {string} dataString
+	 * 		String which shall be converted into data buffer
+	 * @returns {Uint8Array}
+	 * 		Converted data buffer
+	 */
+	fromUtf8( dataString ) {
+		if ( typeof dataString !== "string" ) {
+			throw new Error( "BufferTools.fromUtf8(): Invalid arguments" );
+		}
+
+		const bytes = [];
+		for ( let i = 0; i < dataString.length; i++ ) {
+			let code = dataString.charCodeAt( i );
+
+			if ( code >= 0xd800 && code <= 0xdfff ) {
+				const next = dataString.charCodeAt( i + 1 );
+				if ( code <= 0xdbff && next >= 0xdc00 && next <= 0xdfff ) {
+					code = 0x10000 + ( ( code - 0xd800 ) << 10 ) + ( next - 0xdc00 );
+					i++;
+				} else {
+					code = 0xfffd;
+				}
+			}
+
+			if ( code < 0x80 ) {
+				bytes.push( code );
+			} else if ( code < 0x800 ) {
+				bytes.push( 0xc0 | ( code >> 6 ), 0x80 | ( code & 0x3f ) );
+			} else if ( code < 0x10000 ) {
+				bytes.push( 0xe0 | ( code >> 12 ), 0x80 | ( ( code >> 6 ) & 0x3f ), 0x80 | ( code & 0x3f ) );
+			} else {
+				bytes.push( 0xf0 | ( code >> 18 ), 0x80 | ( ( code >> 12 ) & 0x3f ), 0x80 | ( ( code >> 6 ) & 0x3f ), 0x80 | ( code & 0x3f ) );
+			}
+		}
+
+		return Uint8Array.from( bytes );
+	},
+
+	/**
+	 * This method extracts the UTF-8 encoded string which is contained in the given data buffer.
+	 *
+	 * @param {Uint8Array|ArrayBuffer} dataBuffer
+	 * 		Data buffer which describes an UTF-8 encoded string
+	 * @returns {string}
+	 * 		Extracted string
+	 * @throws
+	 * 		An Error is thrown if the buffer doesn't contain valid UTF-8.
+	 */
+	toUtf8( dataBuffer ) {
+		const buf = dataBuffer instanceof ArrayBuffer ? new Uint8Array( dataBuffer ) : dataBuffer;
+		if ( !( buf instanceof Uint8Array ) ) {
+			throw new Error( "BufferTools.toUtf8(): Invalid arguments" );
+		}
+
+		const codes = [];
+		let dataString = "";
+
+		for ( let i = 0; i < buf.byteLength; ) {
+			const first = buf[i++];
+			let code, count, min;
+
+			if ( first < 0x80 ) {
+				code = first; count = 0; min = 0;
+			} else if ( first >= 0xc2 && first <= 0xdf ) {
+				code = first & 0x1f; count = 1; min = 0x80;
+			} else if ( first >= 0xe0 && first <= 0xef ) {
+				code = first & 0x0f; count = 2; min = 0x800;
+			} else if ( first >= 0xf0 && first <= 0xf4 ) {
+				code = first & 0x07; count = 3; min = 0x10000;
+			} else {
+				throw new Error( "BufferTools.toUtf8(): Invalid UTF-8 data" );
+			}
+
+			if ( i + count > buf.byteLength ) {
+				throw new Error( "BufferTools.toUtf8(): Invalid UTF-8 data" );
+			}
+
+			for ( let k = 0; k < count; k++ ) {
+				const next = buf[i++];
+				if ( ( next & 0xc0 ) !== 0x80 ) {
+					throw new Error( "BufferTools.toUtf8(): Invalid UTF-8 data" );
+				}
+				code = ( code << 6 ) | ( next & 0x3f );
+			}
+
+			if ( code < min || code > 0x10ffff || ( code >= 0xd800 && code <= 0xdfff ) ) {
+				throw new Error( "BufferTools.toUtf8(): Invalid UTF-8 data" );
+			}
+
+			if ( code >= 0x10000 ) {
+				codes.push( 0xd800 + ( ( code - 0x10000 ) >> 10 ), 0xdc00 + ( ( code - 0x10000 ) & 0x3ff ) );
+			} else {
+				codes.push( code );
+			}
+
+			// convert in slices to keep the number of arguments small
+			if ( codes.length >= 8192 ) {
+				dataString += String.fromCharCode.apply( null, codes.splice( 0, codes.length ) );
+			}
+		}
+
+		return dataString + String.fromCharCode.apply( null, codes );
+	},
+
 	/**
 	 * This method converts the given hexadecimal string into a proper data buffer.
 	 *
@@ -181,13 +392,80 @@ const BufferTools = {
 		return hexBytes;
 	},
 
+	/**
+	 * The data of the given buffer will be converted into a base64 string.
+	 *
+	 * @param {Uint8Array|ArrayBuffer} dataBuffer
+	 * 		Data buffer which shall be encoded
+	 * @returns {string}
+	 * 		Base64 string including padding
+	 */
+	toBase64( dataBuffer ) {
+		const buf = dataBuffer instanceof ArrayBuffer ? new Uint8Array( dataBuffer ) : dataBuffer;
+		if ( !( buf instanceof Uint8Array ) ) {
+			throw new Error( "BufferTools.toBase64(): Invalid arguments" );
+		}
+
+		return encodeBase64( buf, Base64Alphabet, true );
+	},
+
+	/**
+	 * This method converts the given base64 string into a proper data buffer.
+	 *
+	 * The string may be given with or without padding.
+	 *
+	 * @param {string} dataString
+	 * 		Base64 string
+	 * @returns {Uint8Array}
+	 * 		Converted data buffer
+	 */
+	fromBase64( dataString ) {
+		return decodeBase64( dataString, Base64Alphabet, "fromBase64" );
+	},
+
+	/**
+	 * The data of the given buffer will be converted into a base64url string
+	 * which is safe for use in URLs and file names.
+	 *
+	 * @param {Uint8Array|ArrayBuffer} dataBuffer
+	 * 		Data buffer which shall be encoded
+	 * @returns {string}
+	 * 		Base64url string without padding
+	 */
+	toBase64Url( dataBuffer ) {
+		const buf = dataBuffer instanceof ArrayBuffer ? new Uint8Array( dataBuffer ) : dataBuffer;
+		if ( !( buf instanceof Uint8Array ) ) {
+			throw new Error( "BufferTools.toBase64Url(): Invalid arguments" );
+		}
+
+		return encodeBase64( buf, Base64UrlAlphabet, false );
+	},
+
+	/**
+	 * This method converts the given base64url string into a proper data buffer.
+	 *
+	 * The string may be given with or without padding.
+	 *
+	 * @param {string} dataString
+	 * 		Base64url string
+	 * @returns {Uint8Array}
+	 * 		Converted data buffer
+	 */
+	fromBase64Url( dataString ) {
+		return decodeBase64( dataString, Base64UrlAlphabet, "fromBase64Url" );
+	},
+
 	/**
 	 * The given object will be converted into a data buffer
 	 * which contains the object's data in form of a JSON-string.
 	 *
+	 * The JSON-string is encoded using UTF-8.
+	 *
 	 * Set addNoise to true if you want some noise characters to be included
 	 * into the data buffer before and after the JSON-string.
-	 * This can be useful for encryption purposes.
+	 * This can be useful for encryption purposes. In this case the UTF-8 byte order mark
+	 * is put right in front of the JSON-string to distinguish it from legacy buffers
+	 * which contained Latin-1 encoded JSON-strings.
 	 *
 	 * @param {object} dataObject
 	 * 		Object which shall be converted into a data buffer
@@ -201,10 +479,10 @@ const BufferTools = {
 			throw new Error( "BufferTools.fromObject(): Invalid arguments" );
 		}
 
-		let dataBuffer = BufferTools.fromAscii( JSON.stringify( dataObject ) );
+		let dataBuffer = BufferTools.fromUtf8( JSON.stringify( dataObject ) );
 
 		if ( addNoise ) {
-			const c = window.crypto || window.msCrypto;
+			const c = GlobalScope.crypto || GlobalScope.msCrypto;
 			if ( !c ) {
 				throw new Error( "BufferTools.fromObject(): Missing library" );
 			}
@@ -225,7 +503,7 @@ const BufferTools = {
 			}
 
 			const buf13 = BufferTools.splitInTwo( noiseBuffer, noiseConfig[0] );
-			dataBuffer = BufferTools.concat( buf13[0], dataBuffer, buf13[1] );
+			dataBuffer = BufferTools.concat( buf13[0], Utf8Marker, dataBuffer, buf13[1] );
 		}
 
 		return dataBuffer;
@@ -238,6 +516,10 @@ const BufferTools = {
 	 * If the buffer contains some noise before and after the JSON-string,
 	 * this noise will be ignored.
 	 *
+	 * The JSON-string is decoded as UTF-8 if it's preceded by the UTF-8 byte order mark.
+	 * Otherwise it is decoded as UTF-8 if possible and as Latin-1 if not, thus buffers
+	 * created by previous versions of fromObject() are still supported.
+	 *
 	 * @param {ArrayBuffer} dataBuffer
 	 * 		Data block containg the object, e.g. from BufferTools.fromObject()
 	 * @returns {object|null}
@@ -249,12 +531,25 @@ const BufferTools = {
 			throw new Error( "BufferTools.toObject(): Invalid arguments" );
 		}
 
-		let dataString = String.fromCharCode.apply( null, buf );
-		const matches = /^[^{]*({.+})[^}]*$/.exec( dataString );
-		if ( matches == null ) {
+		const start = buf.indexOf( 0x7b );
+		const end = buf.lastIndexOf( 0x7d );
+		if ( start === -1 || end <= start ) {
 			throw new Error( "BufferTools.toObject(): Invalid arguments" );
 		}
-		dataString = matches[1];
+
+		const jsonBuffer = buf.subarray( start, end + 1 );
+		const hasMarker = start >= Utf8Marker.byteLength && Utf8Marker.every( ( value, index ) => buf[start - Utf8Marker.byteLength + index] === value );
+
+		let dataString;
+		try {
+			dataString = BufferTools.toUtf8( jsonBuffer );
+		} catch ( error ) {
+			if ( hasMarker ) {
+				throw error;
+			}
+
+			dataString = BufferTools.toAscii( jsonBuffer );
+		}
 
 		let dataObject;
 		try {
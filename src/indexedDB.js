@@ -26,6 +26,26 @@
  * @author: cepharum
  */
 
+import GlobalScope from "./globalScope";
+
+/**
+ * Creates error describing failed database action.
+ *
+ * @param {string} action
+ * 		Description of failed action, e.g. "write item \"foo\""
+ * @param {Error|DOMException|null} cause
+ * 		Error reported by IndexedDB, if any
+ * @returns {Error}
+ * 		Error exposing the reported error in property `cause`
+ */
+function createError( action, cause ) {
+	const reason = cause == null ? "" : ` (${cause.name}${cause.message ? ": " + cause.message : ""})`;
+	const error = new Error( `Database: Failed to ${action}${reason}` );
+	error.cause = cause;
+
+	return error;
+}
+
 /**
  * This class handles connections to the browser's IndexedDB.
  */
@@ -36,29 +56,49 @@ class Database {
 	 */
 	constructor() {
 		this.connection = null;
+		this.opening = null;
 		this.databaseName = null;
 		this.storeName = null;
-		if ( !window.indexedDB ) {
+		this.migrations = null;
+		if ( !GlobalScope.indexedDB ) {
 			throw new Error( "FATAL ERROR: IndexedDB not available." );
 		}
 	}
 
 	/**
+	 * Migrations describe the schema of database. Every migration is a function
+	 * invoked with the connection and the transaction upgrading the database. It
+	 * may create or delete object storages and indexes or convert existing records.
+	 *
+	 * The position of a migration in list defines the version of database after
+	 * applying it. Thus, migrations must not be changed or removed once released,
+	 * but new migrations may be appended. When opening the database, all migrations
+	 * not applied before are run in order.
+	 *
+	 * Omitting migrations results in a single migration creating the named object
+	 * storage.
+	 *
 	 * @param {string} databaseName
 	 * 		Name of the database to use
 	 * @param {string} storeName
 	 * 		Name of the object storage to use
+	 * @param {Array<function(IDBDatabase, IDBTransaction)>} migrations
+	 * 		Ordered list of migrations, omit for creating object storage named in storeName, only
 	 * @returns {boolean}
 	 * 		True with success
 	 * @throws
 	 * 		An Error is thrown if the instance is already connected to another database.
 	 */
-	init( databaseName, storeName ) {
+	init( databaseName, storeName, migrations = null ) {
+		if ( migrations != null && ( !Array.isArray( migrations ) || migrations.length < 1 || migrations.some( migration => typeof migration !== "function" ) ) ) {
+			throw new Error( "Database: Invalid migrations" );
+		}
 		if ( this.connection != null && this.databaseName !== databaseName ) {
 			throw new Error( "Can't reconfigure database connection. It's already established." );
 		}
 		this.databaseName = databaseName;
 		this.storeName = storeName;
+		this.migrations = migrations || [connection => connection.createObjectStore( storeName, { keyPath: "key" } )];
 		return true;
 	}
 
@@ -74,33 +114,165 @@ class Database {
 	 * This function opens a connection to the database.
 	 * The name of the database and the object storage was given with the constructor.
 	 *
+	 * The connection is closed when another page or worker tries to upgrade the
+	 * database. It is re-established on next request after it has been closed.
+	 *
 	 * @returns {Promise<null>}
-	 * 		Resolves after the database connection was successfully established.
-	 * @throws
-	 * 		An Error is thrown if the connection can't be established.
+	 * 		Resolves after the database connection was successfully established,
+	 * 		rejects if the connection can't be established or is blocked by other
+	 * 		connections to the database.
 	 */
 	open() {
-		return new Promise( resolve => {
-			if ( !window.indexedDB ) {
-				throw new Error( "FATAL ERROR: IndexedDB not available." );
-			}
-			if ( this.connection != null ) {
-				resolve();
-				return;
-			}
-			const request = window.indexedDB.open( this.databaseName, 1 );
-			request.onerror = event => {
-				throw new Error( event.target.errorCode );
-			};
-			request.onupgradeneeded = event => {
-				this.connection = event.target.result;
-				this.connection.createObjectStore( this.storeName, { keyPath: "key" } );
-			};
-			request.onsuccess = event => {
-				this.connection = event.target.result;
-				resolve();
-			};
-		} );
+		if ( !GlobalScope.indexedDB ) {
+			return Promise.reject( new Error( "FATAL ERROR: IndexedDB not available." ) );
+		}
+		if ( this.connection != null ) {
+			return Promise.resolve();
+		}
+
+		if ( this.opening == null ) {
+			this.opening = new Promise( ( resolve, reject ) => {
+				const migrations = this.migrations;
+				const request = GlobalScope.indexedDB.open( this.databaseName, migrations.length );
+				let blocked = false;
+				let migrationError = null;
+
+				request.onerror = event => {
+					event.preventDefault();
+					if ( migrationError == null ) {
+						reject( createError( `open database "${this.databaseName}"`, request.error ) );
+					} else {
+						reject( createError( `migrate database "${this.databaseName}"`, migrationError ) );
+					}
+				};
+				request.onblocked = () => {
+					blocked = true;
+					reject( createError( `open database "${this.databaseName}", it is blocked by another connection`, null ) );
+				};
+				request.onupgradeneeded = event => {
+					const pending = migrations.slice( event.oldVersion );
+
+					try {
+						pending.forEach( migration => migration( request.result, request.transaction ) );
+					} catch ( error ) {
+						// keeps previous version of database and fails opening it
+						migrationError = error;
+						request.transaction.abort();
+					}
+				};
+				request.onsuccess = () => {
+					const connection = request.result;
+
+					if ( blocked ) {
+						// caller has been notified already, thus drop late connection
+						connection.close();
+						return;
+					}
+
+					connection.onversionchange = () => {
+						// let other page or worker upgrade the database, reconnect on next request
+						connection.close();
+						this.dropConnection( connection );
+					};
+					connection.onclose = () => {
+						this.dropConnection( connection );
+					};
+
+					this.connection = connection;
+					resolve();
+				};
+			} )
+				.then( () => {
+					this.opening = null;
+				}, error => {
+					this.opening = null;
+					throw error;
+				} );
+		}
+
+		return this.opening;
+	}
+
+	/**
+	 * Forgets about a connection closed by the browser or on behalf of
+	 * another page or worker.
+	 *
+	 * @param {IDBDatabase} connection
+	 * 		Connection that has been closed
+	 * @returns {void}
+	 */
+	dropConnection( connection ) {
+		if ( this.connection === connection ) {
+			this.connection = null;
+		}
+	}
+
+	/**
+	 * This function runs a transaction on the object storage.
+	 *
+	 * The callback is invoked with the object storage and a function for setting
+	 * the result of transaction. It may call a third function for aborting the
+	 * transaction with a custom error. The transaction is retried once on a new
+	 * connection if the current connection has been closed meanwhile.
+	 *
+	 * @param {string} mode
+	 * 		Mode of transaction, "readonly" or "readwrite"
+	 * @param {string} action
+	 * 		Description of action used in error messages
+	 * @param {function(IDBObjectStore, function(*), function(Error))} operateFn
+	 * 		Callback issuing requests of transaction
+	 * @returns {Promise<*>}
+	 * 		Resolves with result of transaction after it was completed
+	 */
+	transact( mode, action, operateFn ) {
+		const attempt = mayRetry => this.open()
+			.then( () => new Promise( ( resolve, reject ) => {
+				let transaction;
+				try {
+					transaction = this.connection.transaction( this.storeName, mode );
+				} catch ( error ) {
+					if ( mayRetry && error.name === "InvalidStateError" ) {
+						// connection has been closed without notification
+						this.dropConnection( this.connection );
+						resolve( attempt( false ) );
+					} else {
+						reject( createError( action, error ) );
+					}
+					return;
+				}
+
+				let result, failure;
+
+				transaction.oncomplete = () => {
+					resolve( result );
+				};
+				transaction.onabort = () => {
+					reject( failure || createError( action, transaction.error ) );
+				};
+				transaction.onerror = event => {
+					// transaction gets aborted next, keep most specific reason for rejecting
+					if ( failure == null ) {
+						failure = createError( action, event.target.error );
+					}
+				};
+
+				const abort = error => {
+					failure = error;
+					try {
+						transaction.abort();
+					} catch ( e ) {
+						reject( error );
+					}
+				};
+
+				try {
+					operateFn( transaction.objectStore( this.storeName ), value => { result = value; }, abort );
+				} catch ( error ) {
+					abort( createError( action, error ) );
+				}
+			} ) );
+
+		return attempt( true );
 	}
 
 	/**
@@ -115,20 +287,9 @@ class Database {
 	 * 		Resolves after the data was successfully written to the database
 	 */
 	writeItem( key, value ) {
-		return this.open()
-			.then( () => new Promise( resolve => {
-				const transaction = this.connection.transaction( this.storeName, "readwrite" );
-				transaction.onerror = event => {
-					throw new Error( event.target.errorCode );
-				};
-				const request = transaction.objectStore( this.storeName ).put( { key: key, value: value } );
-				request.onsuccess = () => {
-					resolve();
-				};
-				request.onerror = event => {
-					throw new Error( event.target.errorCode );
-				};
-			} ) );
+		return this.transact( "readwrite", `write item "${key}"`, store => {
+			store.put( { key: key, value: value } );
+		} );
 	}
 
 	/**
@@ -141,24 +302,99 @@ class Database {
 	 *		with null if the record doesn't exist
 	 */
 	readItem( key ) {
-		return this.open()
-			.then( () => new Promise( resolve => {
-				const transaction = this.connection.transaction( this.storeName );
-				transaction.onerror = event => {
-					throw new Error( event.target.errorCode );
-				};
-				const request = transaction.objectStore( this.storeName ).get( key );
-				request.onsuccess = event => {
-					if ( event.target.result == null ) {
-						resolve( null );
-					} else {
-						resolve( event.target.result.value );
+		return this.transact( "readonly", `read item "${key}"`, ( store, setResult ) => {
+			const request = store.get( key );
+			request.onsuccess = () => {
+				setResult( request.result == null ? null : request.result.value );
+			};
+		} );
+	}
+
+	/**
+	 * This function fetches all records of the database.
+	 *
+	 * @returns {Promise<Array<{key: string, value: *}>>}
+	 * 		Resolves with list of records in order of their keys
+	 */
+	listItems() {
+		return this.transact( "readonly", "list items", ( store, setResult ) => {
+			const items = [];
+			setResult( items );
+
+			const request = store.openCursor();
+			request.onsuccess = () => {
+				const cursor = request.result;
+				if ( cursor != null ) {
+					items.push( { key: cursor.value.key, value: cursor.value.value } );
+					cursor.continue();
+				}
+			};
+		} );
+	}
+
+	/**
+	 * This function fetches the keys of all records of the database without
+	 * reading their content.
+	 *
+	 * @returns {Promise<Array<string>>}
+	 * 		Resolves with list of keys in ascending order
+	 */
+	listKeys() {
+		return this.transact( "readonly", "list keys", ( store, setResult ) => {
+			const keys = [];
+			setResult( keys );
+
+			const request = store.openKeyCursor();
+			request.onsuccess = () => {
+				const cursor = request.result;
+				if ( cursor != null ) {
+					keys.push( cursor.key );
+					cursor.continue();
+				}
+			};
+		} );
+	}
+
+	/**
+	 * This function replaces the data of a database record in a single
+	 * transaction.
+	 *
+	 * The callback is invoked synchronously with the current content of the record,
+	 * or with null if the record doesn't exist. Its result is written back into
+	 * the record unless it's undefined. If the callback throws, the record is
+	 * kept untouched and the returned promise is rejected with the thrown error.
+	 *
+	 * @param {string} key
+	 * 		Identifier of the database record
+	 * @param {function(*):*} updateFn
+	 * 		Callback computing new content of the database record
+	 * @returns {Promise<*>}
+	 * 		Resolves with the result of callback after the transaction was completed
+	 */
+	updateItem( key, updateFn ) {
+		const action = `update item "${key}"`;
+
+		return this.transact( "readwrite", action, ( store, setResult, abort ) => {
+			const request = store.get( key );
+			request.onsuccess = () => {
+				let result;
+				try {
+					result = updateFn( request.result == null ? null : request.result.value );
+				} catch ( error ) {
+					abort( error );
+					return;
+				}
+
+				setResult( result );
+				if ( result !== undefined ) {
+					try {
+						store.put( { key: key, value: result } );
+					} catch ( error ) {
+						abort( createError( action, error ) );
 					}
-				};
-				request.onerror = event => {
-					throw new Error( event.target.errorCode );
-				};
-			} ) );
+				}
+			};
+		} );
 	}
 
 	/**
@@ -172,27 +408,71 @@ class Database {
 	 * 		Resolves after the record was successfully deleted from the database
 	 */
 	removeItem( key ) {
-		return this.open()
-			.then( () => new Promise( resolve => {
-				const transaction = this.connection.transaction( this.storeName, "readwrite" );
-				transaction.onerror = event => {
-					throw new Error( event.target.errorCode );
-				};
-				const request = transaction.objectStore( this.storeName ).delete( key );
-				request.onsuccess = () => {
-					resolve();
-				};
-				request.onerror = event => {
-					throw new Error( event.target.errorCode );
-				};
-			} ) );
+		return this.transact( "readwrite", `remove item "${key}"`, store => {
+			store.delete( key );
+		} );
 	}
 }
 
-const db = new Database();
+const databases = {};
+
+/**
+ * Detects if two lists of migrations consist of the same functions.
+ *
+ * @param {?Array<function>} a
+ * 		First list of migrations, null for default migration
+ * @param {?Array<function>} b
+ * 		Second list of migrations, null for default migration
+ * @returns {boolean}
+ * 		True if both lists are describing the same schema
+ */
+function sameMigrations( a, b ) {
+	if ( a == null || b == null ) {
+		return a == null && b == null;
+	}
+
+	return a.length === b.length && a.every( ( migration, index ) => migration === b[index] );
+}
 
 export default {
-	serveObject() {
-		return db;
+	/**
+	 * Fetches connection to named database creating it on first request.
+	 *
+	 * All requests for the same database share a single connection. Storage and
+	 * migrations are configured on first request for a database and must be
+	 * the same on every further request for that database.
+	 *
+	 * Prior versions have been serving a single unconfigured instance when
+	 * invoked without arguments. Providing name of database is required now.
+	 *
+	 * @param {string} databaseName
+	 * 		Name of the database to use
+	 * @param {string} storeName
+	 * 		Name of the object storage to use
+	 * @param {Array<function(IDBDatabase, IDBTransaction)>} migrations
+	 * 		Ordered list of migrations, see Database#init()
+	 * @returns {Database}
+	 * 		Connection to named database
+	 * @throws
+	 * 		An Error is thrown if name of database is missing or if the database
+	 * 		has been served with different storage or migrations before.
+	 */
+	serveObject( databaseName, storeName, migrations = null ) {
+		if ( typeof databaseName !== "string" || databaseName === "" ) {
+			throw new Error( "Database: Invalid arguments" );
+		}
+
+		if ( databases.hasOwnProperty( databaseName ) ) {
+			const served = databases[databaseName];
+			if ( served.storeName !== storeName || !sameMigrations( served.migrations, migrations ) ) {
+				throw new Error( `Database: "${databaseName}" is already served with different storage or migrations` );
+			}
+		} else {
+			const database = new Database();
+			database.init( databaseName, storeName, migrations );
+			databases[databaseName] = { database, storeName, migrations };
+		}
+
+		return databases[databaseName].database;
 	}
 };
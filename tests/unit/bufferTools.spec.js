@@ -28,7 +28,7 @@
 
 import Should from "should";
 
-import BufferTools from "../../../src/services/bufferTools";
+import BufferTools from "../../src/bufferTools";
 
 describe( "Service class BufferTools", () => {
 
@@ -352,6 +352,67 @@ describe( "Service class BufferTools", () => {
 		} );
 	} );
 
+	describe( "exposes a static method fromUtf8() which", () => {
+		it( "is a function" , () => {
+			BufferTools.fromUtf8.should.be.Function();
+		} );
+
+		it( "takes one parameter", () => {
+			BufferTools.fromUtf8.should.have.length( 1 );
+		} );
+
+		it( "requires a string", () => {
+			( () => BufferTools.fromUtf8() ).should.throw();
+			( () => BufferTools.fromUtf8( 1 ) ).should.throw();
+			( () => BufferTools.fromUtf8( new Uint8Array( 4 ) ) ).should.throw();
+			( () => BufferTools.fromUtf8( "" ) ).should.not.throw();
+		} );
+
+		it( "converts ASCII characters into single bytes", () => {
+			BufferTools.fromUtf8( "Hello!" ).should.be.deepEqual( Uint8Array.from( [ 0x48, 0x65, 0x6c, 0x6c, 0x6f, 0x21 ] ) );
+		} );
+
+		it( "converts characters beyond ASCII into multiple bytes", () => {
+			BufferTools.fromUtf8( "å" ).should.be.deepEqual( Uint8Array.from( [ 0xc3, 0xa5 ] ) );
+			BufferTools.fromUtf8( "Ł" ).should.be.deepEqual( Uint8Array.from( [ 0xc5, 0x81 ] ) );
+			BufferTools.fromUtf8( "€" ).should.be.deepEqual( Uint8Array.from( [ 0xe2, 0x82, 0xac ] ) );
+			BufferTools.fromUtf8( "\ud83d\ude00" ).should.be.deepEqual( Uint8Array.from( [ 0xf0, 0x9f, 0x98, 0x80 ] ) );
+		} );
+
+		it( "replaces unpaired surrogates", () => {
+			BufferTools.fromUtf8( "\ud83d" ).should.be.deepEqual( Uint8Array.from( [ 0xef, 0xbf, 0xbd ] ) );
+		} );
+	} );
+
+	describe( "exposes a static method toUtf8() which", () => {
+		it( "is a function" , () => {
+			BufferTools.toUtf8.should.be.Function();
+		} );
+
+		it( "takes one parameter", () => {
+			BufferTools.toUtf8.should.have.length( 1 );
+		} );
+
+		it( "requires a data buffer", () => {
+			( () => BufferTools.toUtf8() ).should.throw();
+			( () => BufferTools.toUtf8( "abc" ) ).should.throw();
+			( () => BufferTools.toUtf8( new Uint8Array( 4 ) ) ).should.not.throw();
+			( () => BufferTools.toUtf8( new ArrayBuffer( 4 ) ) ).should.not.throw();
+		} );
+
+		it( "rejects invalid UTF-8 data", () => {
+			( () => BufferTools.toUtf8( Uint8Array.from( [0xe5] ) ) ).should.throw();
+			( () => BufferTools.toUtf8( Uint8Array.from( [ 0xc3, 0x41 ] ) ) ).should.throw();
+			( () => BufferTools.toUtf8( Uint8Array.from( [ 0xc0, 0x80 ] ) ) ).should.throw();
+		} );
+
+		it( "reverts the conversion of fromUtf8()", () => {
+			const s1 = "Łukasz \ud83d\ude00 in Luleå for 5 €";
+
+			BufferTools.toUtf8( BufferTools.fromUtf8( s1 ) ).should.be.equal( s1 );
+		} );
+	} );
+
 	describe( "exposes a static method fromHex() which", () => {
 		it( "is a function" , () => {
 			BufferTools.fromHex.should.be.Function();
@@ -477,6 +538,87 @@ describe( "Service class BufferTools", () => {
 		} );
 	} );
 
+	describe( "exposes a static method toBase64() which", () => {
+		it( "is a function" , () => {
+			BufferTools.toBase64.should.be.Function();
+		} );
+
+		it( "requires a data buffer", () => {
+			( () => BufferTools.toBase64() ).should.throw();
+			( () => BufferTools.toBase64( "abc" ) ).should.throw();
+			( () => BufferTools.toBase64( new ArrayBuffer( 4 ) ) ).should.not.throw();
+		} );
+
+		it( "encodes data with padding", () => {
+			BufferTools.toBase64( new Uint8Array( 0 ) ).should.be.equal( "" );
+			BufferTools.toBase64( Uint8Array.from( [0x66] ) ).should.be.equal( "Zg==" );
+			BufferTools.toBase64( Uint8Array.from( [ 0x66, 0x6f ] ) ).should.be.equal( "Zm8=" );
+			BufferTools.toBase64( Uint8Array.from( [ 0x66, 0x6f, 0x6f ] ) ).should.be.equal( "Zm9v" );
+			BufferTools.toBase64( Uint8Array.from( [ 0xfb, 0xff, 0xbf ] ) ).should.be.equal( "+/+/" );
+		} );
+	} );
+
+	describe( "exposes a static method fromBase64() which", () => {
+		it( "is a function" , () => {
+			BufferTools.fromBase64.should.be.Function();
+		} );
+
+		it( "requires a string", () => {
+			( () => BufferTools.fromBase64() ).should.throw( /Invalid arguments/ );
+			( () => BufferTools.fromBase64( new Uint8Array( 4 ) ) ).should.throw( /Invalid arguments/ );
+		} );
+
+		it( "decodes padded and unpadded data", () => {
+			BufferTools.fromBase64( "Zg==" ).should.be.deepEqual( Uint8Array.from( [0x66] ) );
+			BufferTools.fromBase64( "Zg" ).should.be.deepEqual( Uint8Array.from( [0x66] ) );
+			BufferTools.fromBase64( "Zm8=" ).should.be.deepEqual( Uint8Array.from( [ 0x66, 0x6f ] ) );
+			BufferTools.fromBase64( "Zm8" ).should.be.deepEqual( Uint8Array.from( [ 0x66, 0x6f ] ) );
+			BufferTools.fromBase64( "+/+/" ).should.be.deepEqual( Uint8Array.from( [ 0xfb, 0xff, 0xbf ] ) );
+		} );
+
+		it( "rejects malformed data", () => {
+			( () => BufferTools.fromBase64( "Z" ) ).should.throw( /Malformed input/ );
+			( () => BufferTools.fromBase64( "Zg=" ) ).should.throw( /Malformed input/ );
+			( () => BufferTools.fromBase64( "Zh==" ) ).should.throw( /Malformed input/ );
+			( () => BufferTools.fromBase64( "-_-_" ) ).should.throw( /Malformed input/ );
+			( () => BufferTools.fromBase64( "Zm 9v" ) ).should.throw( /Malformed input/ );
+		} );
+
+		it( "reverts the conversion of toBase64()", () => {
+			const a1 = Uint8Array.from( [ 0, 1, 2, 127, 128, 254, 255 ] );
+
+			BufferTools.fromBase64( BufferTools.toBase64( a1 ) ).should.be.deepEqual( a1 );
+		} );
+	} );
+
+	describe( "exposes a static method toBase64Url() which", () => {
+		it( "is a function" , () => {
+			BufferTools.toBase64Url.should.be.Function();
+		} );
+
+		it( "encodes data using URL-safe characters without padding", () => {
+			BufferTools.toBase64Url( Uint8Array.from( [0x66] ) ).should.be.equal( "Zg" );
+			BufferTools.toBase64Url( Uint8Array.from( [ 0xfb, 0xff, 0xbf ] ) ).should.be.equal( "-_-_" );
+		} );
+	} );
+
+	describe( "exposes a static method fromBase64Url() which", () => {
+		it( "is a function" , () => {
+			BufferTools.fromBase64Url.should.be.Function();
+		} );
+
+		it( "decodes padded and unpadded data", () => {
+			BufferTools.fromBase64Url( "-_-_" ).should.be.deepEqual( Uint8Array.from( [ 0xfb, 0xff, 0xbf ] ) );
+			BufferTools.fromBase64Url( "Zg" ).should.be.deepEqual( Uint8Array.from( [0x66] ) );
+			BufferTools.fromBase64Url( "Zg==" ).should.be.deepEqual( Uint8Array.from( [0x66] ) );
+		} );
+
+		it( "rejects malformed data", () => {
+			( () => BufferTools.fromBase64Url( "+/+/" ) ).should.throw( /Malformed input/ );
+			( () => BufferTools.fromBase64Url( "Z" ) ).should.throw( /Malformed input/ );
+		} );
+	} );
+
 	describe( "exposes a static method fromObject() which", () => {
 		it( "is a function" , () => {
 			BufferTools.fromObject.should.be.Function();
@@ -516,7 +658,8 @@ describe( "Service class BufferTools", () => {
 
 			const converted = BufferTools.fromObject( o1 );
 
-			converted.should.be.an.instanceof( Uint8Array ).which.has.length( j1.length );
+			// "å" takes two bytes in UTF-8
+			converted.should.be.an.instanceof( Uint8Array ).which.has.length( j1.length + 1 );
 		} );
 
 		it( "will try to add noise using Web Crypto API", () => {
@@ -615,6 +758,18 @@ describe( "Service class BufferTools", () => {
 			reverted.should.be.an.Object().which.is.deepEqual( o1 );
 		} );
 
+		it( "extracts an object from legacy buffer with Latin-1 encoded JSON-string", () => {
+			const a1 = [ 0x7b, 0x22, 0x61, 0x22, 0x3a, 0x22, 0x4c, 0x75, 0x6c, 0x65, 0xe5, 0x22, 0x7d ];
+
+			BufferTools.toObject( Uint8Array.from( a1 ) ).should.be.deepEqual( { a: "Luleå" } );
+		} );
+
+		it( "reverts the conversion of fromObject() with characters beyond Latin-1", () => {
+			const o1 = { name: "Łukasz \ud83d\ude00" };
+
+			BufferTools.toObject( BufferTools.fromObject( o1 ) ).should.be.deepEqual( o1 );
+		} );
+
 		it( "reverts the conversion of fromObject() with a complex object", () => {
 			const o1 = { message: "Hello world!", locations: [ { place: "Luleå", country: "Sweden", timezone: "Europe/Stockholm" }, { place: "Berlin", country: "German", timezone: "Europe/Berlin" } ] };
 
@@ -0,0 +1,239 @@
+/**
+ * (c) 2018 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2018 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+import "../support/workerScope";
+import "fake-indexeddb/auto";
+
+import Should from "should";
+
+import Database from "../../src/indexedDB";
+import GlobalScope from "../../src/globalScope";
+
+/**
+ * Opens database without migrations and without handling requests for upgrading it.
+ *
+ * @param {string} databaseName
+ * 		Name of database
+ * @param {number} version
+ * 		Version of database, omit for opening current version
+ * @param {function(IDBDatabase, IDBTransaction)} upgradeFn
+ * 		Callback invoked on creating or upgrading database
+ * @returns {Promise<IDBDatabase>}
+ * 		Resolves with connection after all other connections to database have been closed
+ */
+function openRaw( databaseName, version = undefined, upgradeFn = null ) {
+	return new Promise( ( resolve, reject ) => {
+		const request = GlobalScope.indexedDB.open( databaseName, version );
+
+		if ( upgradeFn != null ) {
+			request.onupgradeneeded = () => upgradeFn( request.result, request.transaction );
+		}
+		request.onerror = () => reject( request.error );
+		request.onsuccess = () => resolve( request.result );
+	} );
+}
+
+describe( "Database module", () => {
+	it( "is available", () => {
+		Should.exist( Database );
+	} );
+
+	describe( "exposes method serveObject() which", () => {
+		const migrations = [connection => connection.createObjectStore( "items", { keyPath: "key" } )];
+
+		it( "requires name of database", () => {
+			( () => Database.serveObject() ).should.throw( "Database: Invalid arguments" );
+			( () => Database.serveObject( "" ) ).should.throw( "Database: Invalid arguments" );
+		} );
+
+		it( "serves same instance per name of database", () => {
+			const db = Database.serveObject( "serve-test", "items", migrations );
+
+			Database.serveObject( "serve-test", "items", migrations ).should.be.equal( db );
+			Database.serveObject( "serve-test-other", "items", migrations ).should.not.be.equal( db );
+			Database.serveObject( "serve-test-default", "items" ).should.be.equal( Database.serveObject( "serve-test-default", "items" ) );
+		} );
+
+		it( "rejects to serve database with different storage or migrations than before", () => {
+			Database.serveObject( "serve-test", "items", migrations );
+
+			( () => Database.serveObject( "serve-test", "others", migrations ) ).should.throw( /already served with different storage or migrations/ );
+			( () => Database.serveObject( "serve-test", "items" ) ).should.throw( /already served with different storage or migrations/ );
+			( () => Database.serveObject( "serve-test", "items", migrations.slice() ) ).should.not.throw();
+			( () => Database.serveObject( "serve-test", "items", [connection => connection.createObjectStore( "items", { keyPath: "key" } )] ) )
+				.should.throw( /already served with different storage or migrations/ );
+			( () => Database.serveObject( "serve-test-default", "items", migrations ) ).should.throw( /already served with different storage or migrations/ );
+		} );
+	} );
+
+	describe( "exposes method open() which", () => {
+		it( "rejects if blocked by another connection and closes connection established after upgrading late", () => {
+			const migrations = [
+				connection => connection.createObjectStore( "items", { keyPath: "key" } ),
+				connection => connection.createObjectStore( "others", { keyPath: "key" } ),
+			];
+
+			return openRaw( "blocked-test", 1 )
+				.then( blocking => Database.serveObject( "blocked-test", "items", migrations ).open()
+					.should.be.rejectedWith( /blocked by another connection/ )
+					.then( () => {
+						blocking.close();
+
+						// waits for pending upgrade, never succeeds if upgraded connection is kept open
+						return openRaw( "blocked-test", 3 );
+					} ) )
+				.then( connection => {
+					connection.objectStoreNames.contains( "others" ).should.be.true();
+					connection.close();
+				} );
+		} );
+	} );
+
+	describe( "applies migrations which", () => {
+		const createStore = connection => connection.createObjectStore( "items", { keyPath: "key" } );
+
+		// creates database in version 1 containing records as written by writeItem()
+		const createLegacyDatabase = databaseName => openRaw( databaseName, 1, ( connection, transaction ) => {
+			createStore( connection );
+			transaction.objectStore( "items" ).put( { key: "a", value: { name: "first" } } );
+			transaction.objectStore( "items" ).put( { key: "b", value: { name: "second" } } );
+		} )
+			.then( connection => connection.close() );
+
+		it( "are pending on existing database, only, and may convert existing records", () => {
+			const convertRecords = ( connection, transaction ) => {
+				const request = transaction.objectStore( "items" ).openCursor();
+				request.onsuccess = () => {
+					const cursor = request.result;
+					if ( cursor != null ) {
+						cursor.update( { key: cursor.value.key, value: { label: cursor.value.value.name.toUpperCase() } } );
+						cursor.continue();
+					}
+				};
+			};
+
+			return createLegacyDatabase( "migration-test" )
+				.then( () => {
+					const db = Database.serveObject( "migration-test", "items", [ createStore, convertRecords ] );
+
+					return db.listItems()
+						.then( items => items.should.be.deepEqual( [
+							{ key: "a", value: { label: "FIRST" } },
+							{ key: "b", value: { label: "SECOND" } },
+						] ) )
+						.then( () => db.writeItem( "c", { label: "THIRD" } ) )
+						.then( () => db.readItem( "c" ) )
+						.then( record => record.should.be.deepEqual( { label: "THIRD" } ) );
+				} );
+		} );
+
+		it( "keep previous version of database and its records if failing", () => {
+			const failingMigration = () => {
+				throw new Error( "migration failed" );
+			};
+
+			return createLegacyDatabase( "failing-migration-test" )
+				.then( () => Database.serveObject( "failing-migration-test", "items", [ createStore, failingMigration ] ).readItem( "a" )
+					.should.be.rejectedWith( /^Database: Failed to migrate database "failing-migration-test" \(Error: migration failed\)/ ) )
+				.then( () => openRaw( "failing-migration-test" ) )
+				.then( connection => new Promise( resolve => {
+					connection.version.should.be.equal( 1 );
+
+					const request = connection.transaction( "items" ).objectStore( "items" ).get( "a" );
+					request.onsuccess = () => {
+						connection.close();
+						resolve( request.result );
+					};
+				} ) )
+				.then( record => record.should.be.deepEqual( { key: "a", value: { name: "first" } } ) );
+		} );
+	} );
+
+	describe( "exposes methods listItems() and listKeys() which", () => {
+		let db;
+
+		before( () => {
+			db = Database.serveObject( "listing-test", "items" );
+		} );
+
+		it( "deliver empty lists if there are no records", () => {
+			return Promise.all( [ db.listItems(), db.listKeys() ] )
+				.then( results => results.should.be.deepEqual( [ [], [] ] ) );
+		} );
+
+		it( "deliver records and keys in ascending order of keys", () => {
+			return Promise.all( [ db.writeItem( "b", { name: "second" } ), db.writeItem( "a", { name: "first" } ), db.writeItem( "c", null ) ] )
+				.then( () => Promise.all( [ db.listItems(), db.listKeys() ] ) )
+				.then( ( [ items, keys ] ) => {
+					items.should.be.deepEqual( [
+						{ key: "a", value: { name: "first" } },
+						{ key: "b", value: { name: "second" } },
+						{ key: "c", value: null },
+					] );
+					keys.should.be.deepEqual( [ "a", "b", "c" ] );
+				} );
+		} );
+	} );
+
+	describe( "exposes method updateItem() which", () => {
+		let db;
+
+		before( () => {
+			db = Database.serveObject( "update-test", "items" );
+
+			return db.writeItem( "record", { counter: 1 } );
+		} );
+
+		it( "writes result of callback invoked with current content of record", () => {
+			return db.updateItem( "record", current => ( { counter: current.counter + 1 } ) )
+				.then( result => {
+					result.should.be.deepEqual( { counter: 2 } );
+
+					return db.readItem( "record" );
+				} )
+				.then( record => record.should.be.deepEqual( { counter: 2 } ) );
+		} );
+
+		it( "keeps record untouched and rejects with error thrown by callback", () => {
+			return db.updateItem( "record", () => {
+				throw new Error( "updater failed" );
+			} )
+				.should.be.rejectedWith( "updater failed" )
+				.then( () => db.readItem( "record" ) )
+				.then( record => record.should.be.deepEqual( { counter: 2 } ) );
+		} );
+
+		it( "keeps record untouched and rejects if writing result of callback fails", () => {
+			// functions can't be cloned for storing them in database
+			return db.updateItem( "record", () => ( { counter: () => 3 } ) )
+				.should.be.rejectedWith( /^Database: Failed to update item "record" \(DataCloneError/ )
+				.then( () => db.readItem( "record" ) )
+				.then( record => record.should.be.deepEqual( { counter: 2 } ) );
+		} );
+	} );
+} );
@@ -0,0 +1,492 @@
+/**
+ * (c) 2018 cepharum GmbH, Berlin, http://cepharum.de
+ *
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2018 cepharum GmbH
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author: cepharum
+ */
+
+import "../support/workerScope";
+import "fake-indexeddb/auto";
+
+import { webcrypto as WebCrypto, createCipheriv, createPublicKey, publicEncrypt, randomBytes, constants } from "crypto";
+import Should from "should";
+
+import ServerCrypto from "../../server/crypto";
+import WebCryptoClient from "../../src/crypto";
+
+describe( "Server-side crypto module", () => {
+
+	it( "is available", () => {
+		Should.exist( ServerCrypto );
+	} );
+
+	describe( "exposes a method generateKeyPair() which", () => {
+		it( "is a function" , () => {
+			ServerCrypto.generateKeyPair.should.be.Function();
+		} );
+
+		it( "takes one parameter", () => {
+			ServerCrypto.generateKeyPair.should.have.length( 1 );
+		} );
+
+		it( "requires an export password", () => {
+			( () => ServerCrypto.generateKeyPair() ).should.throw();
+			( () => ServerCrypto.generateKeyPair( "" ) ).should.throw();
+		} );
+
+		it( "returns public and private key strings in ceph format", () => {
+			const keys = ServerCrypto.generateKeyPair( "secret" );
+
+			keys.should.be.an.Object().which.has.properties( "publicKeyString", "privateKeyString" );
+			keys.publicKeyString.should.be.a.String().which.startWith( "$ceph1-publ$jwk$" );
+			keys.privateKeyString.should.be.a.String().which.startWith( "$ceph1-priv$hex$" );
+		} );
+
+		it( "provides public key string which can be imported like the browser does", () => {
+			const keys = ServerCrypto.generateKeyPair( "secret" );
+
+			return WebCrypto.subtle.importKey(
+				"jwk",
+				{
+					alg: "RSA-OAEP-256",
+					e: "AQAB",
+					ext: true,
+					// eslint-disable-next-line camelcase
+					key_ops: ["encrypt"],
+					kty: "RSA",
+					n: keys.publicKeyString.substr( 16 ),
+				},
+				{ name: "RSA-OAEP", hash: { name: "SHA-256" } },
+				true,
+				["encrypt"]
+			)
+				.then( key => {
+					key.type.should.be.equal( "public" );
+				} );
+		} );
+
+		it( "provides private key string which can be imported like the browser does", () => {
+			const keys = ServerCrypto.generateKeyPair( "secret" );
+
+			const privateKeyJWK = JSON.parse( ServerCrypto.decryptData( keys.privateKeyString.substr( 16 ), "secret" ) );
+			( "$ceph1-publ$jwk$" + privateKeyJWK.n ).should.be.equal( keys.publicKeyString );
+
+			return WebCrypto.subtle.importKey(
+				"jwk",
+				privateKeyJWK,
+				{ name: "RSA-OAEP", hash: { name: "SHA-256" } },
+				false,
+				["decrypt"]
+			)
+				.then( key => {
+					key.type.should.be.equal( "private" );
+				} );
+		} );
+
+		it( "provides private key string which can't be decrypted with wrong password", () => {
+			const keys = ServerCrypto.generateKeyPair( "secret" );
+
+			Should( ServerCrypto.decryptData( keys.privateKeyString.substr( 16 ), "wrong" ) ).be.null();
+			Should( ServerCrypto.importPrivateKey( keys.privateKeyString, "wrong" ) ).be.null();
+		} );
+
+		it( "provides key-pair usable for encrypting and decrypting objects", () => {
+			const keys = ServerCrypto.generateKeyPair( "secret" );
+			const privateKey = ServerCrypto.importPrivateKey( keys.privateKeyString, "secret" );
+
+			const encrypted = ServerCrypto.encryptObject( keys.publicKeyString, { message: "Hello world!" } );
+
+			ServerCrypto.decryptObject( privateKey, encrypted.key, encrypted.message ).should.be.deepEqual( { message: "Hello world!" } );
+		} );
+
+		it( "provides key-pair usable for encrypting objects with ID of public key", () => {
+			const keys = ServerCrypto.generateKeyPair( "secret" );
+			const privateKey = ServerCrypto.importPrivateKey( keys.privateKeyString, "secret" );
+
+			const keyId = ServerCrypto.getKeyId( keys.publicKeyString );
+			const encrypted = ServerCrypto.encryptObject( keys.publicKeyString, { message: "Hello world!" } );
+			encrypted.message.should.startWith( `5$${keyId}$` );
+
+			ServerCrypto.decryptObject( privateKey, encrypted.key, encrypted.message ).should.be.deepEqual( { message: "Hello world!" } );
+
+			const tampered = encrypted.message.replace( keyId, ( keyId[0] === "0" ? "1" : "0" ) + keyId.substr( 1 ) );
+			ServerCrypto.decryptObject( privateKey, encrypted.key, tampered ).should.be.false();
+		} );
+
+		it( "provides key-pair with custom hash usable for encrypting and decrypting objects", () => {
+			const keys = ServerCrypto.generateKeyPair( "secret", { hash: "SHA-512" } );
+			keys.publicKeyString.should.startWith( "$ceph2-publ$jwk$2048$SHA-512$" );
+
+			const privateKey = ServerCrypto.importPrivateKey( keys.privateKeyString, "secret" );
+			const encrypted = ServerCrypto.encryptObject( keys.publicKeyString, { message: "Hello world!" } );
+
+			// hash can't be derived from private key, thus take it from public key or select it explicitly
+			ServerCrypto.decryptObject( privateKey, encrypted.key, encrypted.message ).should.be.false();
+			ServerCrypto.decryptObject( privateKey, encrypted.key, encrypted.message, keys.publicKeyString ).should.be.deepEqual( { message: "Hello world!" } );
+			ServerCrypto.decryptObject( privateKey, encrypted.key, encrypted.message, null, "SHA-512" ).should.be.deepEqual( { message: "Hello world!" } );
+
+			// private key's JSON Web Key names algorithm including hash
+			const privateKeyJWK = JSON.parse( ServerCrypto.decryptData( keys.privateKeyString.substr( 16 ), "secret" ) );
+			privateKeyJWK.alg.should.be.equal( "RSA-OAEP-512" );
+			ServerCrypto.decryptObject( privateKeyJWK, encrypted.key, encrypted.message ).should.be.deepEqual( { message: "Hello world!" } );
+
+			const reexported = ServerCrypto.exportPrivateKey( privateKey, "other", "SHA-512" );
+			JSON.parse( ServerCrypto.decryptData( reexported.substr( 16 ), "other" ) ).alg.should.be.equal( "RSA-OAEP-512" );
+			ServerCrypto.decryptObject( ServerCrypto.importPrivateKey( reexported, "other" ), encrypted.key, encrypted.message, keys.publicKeyString )
+				.should.be.deepEqual( { message: "Hello world!" } );
+
+			( () => ServerCrypto.decryptObject( privateKey, encrypted.key, encrypted.message, null, "SHA-1" ) ).should.throw();
+			( () => ServerCrypto.exportPrivateKey( privateKey, "other", "SHA-1" ) ).should.throw();
+		} );
+
+		it( "rejects unsupported parameters of key-pair", () => {
+			( () => ServerCrypto.generateKeyPair( "secret", { hash: "SHA-1" } ) ).should.throw();
+			( () => ServerCrypto.generateKeyPair( "secret", { modulusLength: 1024 } ) ).should.throw();
+		} );
+
+		it( "provides key-pair failing fast on objects encrypted for a different public key", () => {
+			const keys = ServerCrypto.generateKeyPair( "secret" );
+			const otherKeys = ServerCrypto.generateKeyPair( "secret" );
+			const privateKey = ServerCrypto.importPrivateKey( keys.privateKeyString, "secret" );
+
+			const encrypted = ServerCrypto.encryptObject( otherKeys.publicKeyString, { message: "Hello world!" } );
+
+			Should( ServerCrypto.decryptObject( privateKey, encrypted.key, encrypted.message, keys.publicKeyString ) ).be.null();
+			Should( ServerCrypto.decryptObject( privateKey, encrypted.key, encrypted.message, ServerCrypto.getKeyId( keys.publicKeyString ) ) ).be.null();
+			ServerCrypto.decryptObject( privateKey, encrypted.key, encrypted.message ).should.be.false();
+
+			const own = ServerCrypto.encryptObject( keys.publicKeyString, { message: "Hello world!" } );
+			ServerCrypto.decryptObject( privateKey, own.key, own.message, keys.publicKeyString ).should.be.deepEqual( { message: "Hello world!" } );
+		} );
+
+		it( "provides key-pair failing to decrypt objects of unauthenticated version 1 not containing JSON", () => {
+			const keys = ServerCrypto.generateKeyPair( "secret" );
+			const privateKey = ServerCrypto.importPrivateKey( keys.privateKeyString, "secret" );
+
+			// properly padded message as resulting from tampering with unauthenticated ciphertext
+			const iv = randomBytes( 16 );
+			const sKey = randomBytes( 32 );
+			const cipher = createCipheriv( "aes-256-cbc", sKey, iv );
+			const message = Buffer.concat( [ cipher.update( "{ tampered message", "utf8" ), cipher.final() ] );
+
+			const key = publicEncrypt( {
+				key: createPublicKey( ServerCrypto.exportPublicKey( keys.publicKeyString, "pem" ) ),
+				padding: constants.RSA_PKCS1_OAEP_PADDING,
+				oaepHash: "sha256",
+			}, Buffer.concat( [ iv, sKey ] ) );
+
+			ServerCrypto.decryptObject( privateKey, key.toString( "base64" ), "1$" + message.toString( "base64" ) ).should.be.false();
+		} );
+
+		it( "provides key-pair rejecting objects encrypted for multiple recipients", () => {
+			const keys = ServerCrypto.generateKeyPair( "secret" );
+			const privateKey = ServerCrypto.importPrivateKey( keys.privateKeyString, "secret" );
+
+			const encrypted = ServerCrypto.encryptObject( keys.publicKeyString, { message: "Hello world!" } );
+			const multiRecipientMessage = "4$" + encrypted.message.replace( /^.+\$/, "" );
+
+			( () => ServerCrypto.decryptObject( privateKey, encrypted.key, multiRecipientMessage ) ).should.throw( "Crypto: Invalid arguments" );
+		} );
+	} );
+
+	describe( "exposes methods encryptObject() and decryptObject() compatible with browser-side module in", () => {
+		const keys = ServerCrypto.generateKeyPair( "secret" );
+		const privateKey = ServerCrypto.importPrivateKey( keys.privateKeyString, "secret" );
+		const data = { message: "Hello wörld! ✓" };
+		let browser;
+
+		before( () => {
+			browser = WebCryptoClient.serveFullObject( "server-interop-objects" );
+
+			return browser.importPrivateKey( keys.privateKeyString, "secret" );
+		} );
+
+		[ 1, 2, 5 ].forEach( version => {
+			it( `version ${version} when encrypting on server`, () => {
+				const encrypted = ServerCrypto.encryptObject( keys.publicKeyString, data, version );
+				encrypted.message.should.startWith( `${version}$` );
+
+				return browser.decryptObject( encrypted.key, encrypted.message )
+					.then( decrypted => decrypted.should.be.deepEqual( data ) );
+			} );
+
+			it( `version ${version} when encrypting in browser`, () => {
+				return browser.encryptObject( data, version )
+					.then( encrypted => {
+						encrypted.message.should.startWith( `${version}$` );
+
+						ServerCrypto.decryptObject( privateKey, encrypted.key, encrypted.message ).should.be.deepEqual( data );
+					} );
+			} );
+		} );
+	} );
+
+	describe( "exposes methods encryptData() and decryptData() compatible with browser-side module in", () => {
+		const password = "pässwörd € ✓ 密码";
+		const data = "Hello wörld! ✓";
+		let browser;
+
+		before( () => {
+			browser = WebCryptoClient.servePublicObject( "server-interop-data" );
+		} );
+
+		[ 1, 2, 3 ].forEach( version => {
+			it( `version ${version} when encrypting on server`, () => {
+				const encrypted = ServerCrypto.encryptData( data, password, version );
+				encrypted.should.startWith( `${version}$` );
+
+				return Promise.all( [ browser.decryptData( encrypted, password ), browser.decryptData( encrypted, "wrong" ) ] )
+					.then( results => results.should.be.deepEqual( [ data, null ] ) );
+			} );
+
+			it( `version ${version} when encrypting in browser`, () => {
+				return browser.encryptData( data, password, version )
+					.then( encrypted => {
+						encrypted.should.startWith( `${version}$` );
+
+						ServerCrypto.decryptData( encrypted, password ).should.be.equal( data );
+						Should( ServerCrypto.decryptData( encrypted, "wrong" ) ).be.null();
+					} );
+			} );
+		} );
+	} );
+
+	describe( "exposes methods importPrivateKey() and exportPrivateKey() compatible with browser-side module which", () => {
+		const password = "pässwörd € ✓ 密码";
+		const data = { message: "Hello world!" };
+
+		it( "provides private keys of generateKeyPair() to be imported in browser", () => {
+			const keys = ServerCrypto.generateKeyPair( password );
+			const browser = WebCryptoClient.serveFullObject( "server-interop-import" );
+
+			return browser.importPrivateKey( keys.privateKeyString, password )
+				.then( result => {
+					result.should.be.true();
+					browser.publicKeyExport.should.be.equal( keys.publicKeyString );
+
+					const encrypted = ServerCrypto.encryptObject( keys.publicKeyString, data );
+
+					return browser.decryptObject( encrypted.key, encrypted.message );
+				} )
+				.then( decrypted => decrypted.should.be.deepEqual( data ) );
+		} );
+
+		it( "provides private keys exported by exportPrivateKey() to be imported in browser", () => {
+			const keys = ServerCrypto.generateKeyPair( "secret" );
+			const privateKeyString = ServerCrypto.exportPrivateKey( ServerCrypto.importPrivateKey( keys.privateKeyString, "secret" ), password );
+			const browser = WebCryptoClient.serveFullObject( "server-interop-export" );
+
+			return browser.importPrivateKey( privateKeyString, "secret" )
+				.then( result => {
+					result.should.be.false();
+
+					return browser.importPrivateKey( privateKeyString, password );
+				} )
+				.then( result => {
+					result.should.be.true();
+					browser.publicKeyExport.should.be.equal( keys.publicKeyString );
+				} );
+		} );
+
+		it( "imports private keys exported by browser", () => {
+			const browser = WebCryptoClient.serveFullObject( "server-interop-browser-key" );
+
+			return browser.generateKeyPair( password )
+				.then( () => browser.encryptObject( data ) )
+				.then( encrypted => {
+					Should( ServerCrypto.importPrivateKey( browser.privateKeyExport, "secret" ) ).be.null();
+
+					const privateKey = ServerCrypto.importPrivateKey( browser.privateKeyExport, password );
+
+					ServerCrypto.decryptObject( privateKey, encrypted.key, encrypted.message ).should.be.deepEqual( data );
+				} );
+		} );
+	} );
+
+	describe( "exposes methods importPublicKey() and exportPublicKey() which", () => {
+		const keys = ServerCrypto.generateKeyPair( "secret" );
+
+		it( "are functions" , () => {
+			ServerCrypto.importPublicKey.should.be.Function();
+			ServerCrypto.exportPublicKey.should.be.Function();
+		} );
+
+		it( "convert public key string into JWK, SPKI and PEM and back", () => {
+			const jwk = ServerCrypto.exportPublicKey( keys.publicKeyString, "jwk" );
+			const spki = ServerCrypto.exportPublicKey( keys.publicKeyString, "spki" );
+			const pem = ServerCrypto.exportPublicKey( keys.publicKeyString, "pem" );
+
+			jwk.should.be.an.Object().which.has.properties( { kty: "RSA", alg: "RSA-OAEP-256", e: "AQAB" } );
+			spki.should.be.instanceof( Buffer );
+			pem.should.be.a.String().which.startWith( "-----BEGIN PUBLIC KEY-----" );
+
+			ServerCrypto.importPublicKey( keys.publicKeyString ).should.be.equal( keys.publicKeyString );
+			ServerCrypto.importPublicKey( jwk ).should.be.equal( keys.publicKeyString );
+			ServerCrypto.importPublicKey( JSON.stringify( jwk ) ).should.be.equal( keys.publicKeyString );
+			ServerCrypto.importPublicKey( spki ).should.be.equal( keys.publicKeyString );
+			ServerCrypto.importPublicKey( pem ).should.be.equal( keys.publicKeyString );
+		} );
+
+		it( "reject keys not matching explicitly given format", () => {
+			const pem = ServerCrypto.exportPublicKey( keys.publicKeyString, "pem" );
+
+			( () => ServerCrypto.importPublicKey( pem, "pem" ) ).should.not.throw();
+			( () => ServerCrypto.importPublicKey( pem, "jwk" ) ).should.throw();
+			( () => ServerCrypto.importPublicKey( "no key" ) ).should.throw();
+		} );
+	} );
+
+	describe( "exposes methods encryptObjectAsJWE() and decryptJWE() which", () => {
+		const keys = ServerCrypto.generateKeyPair( "secret" );
+		const privateKey = ServerCrypto.importPrivateKey( keys.privateKeyString, "secret" );
+
+		it( "are functions" , () => {
+			ServerCrypto.encryptObjectAsJWE.should.be.Function();
+			ServerCrypto.decryptJWE.should.be.Function();
+		} );
+
+		it( "create JWE in compact serialisation by default", () => {
+			const jwe = ServerCrypto.encryptObjectAsJWE( keys.publicKeyString, { message: "Hello world!" } );
+
+			jwe.should.be.a.String();
+			jwe.split( "." ).should.have.length( 5 );
+			JSON.parse( Buffer.from( jwe.split( "." )[0], "base64url" ).toString() ).should.be.deepEqual( { alg: "RSA-OAEP-256", enc: "A256GCM" } );
+		} );
+
+		it( "create JWE in flattened JSON serialisation on request", () => {
+			const jwe = ServerCrypto.encryptObjectAsJWE( keys.publicKeyString, { message: "Hello world!" }, "json" );
+
+			jwe.should.be.an.Object().which.has.properties( "protected", "encrypted_key", "iv", "ciphertext", "tag" );
+		} );
+
+		it( "decrypt JWE in either serialisation", () => {
+			const data = { message: "Hello wörld! \ud83d\ude00" };
+
+			ServerCrypto.decryptJWE( privateKey, ServerCrypto.encryptObjectAsJWE( keys.publicKeyString, data ) ).should.be.deepEqual( data );
+			ServerCrypto.decryptJWE( privateKey, ServerCrypto.encryptObjectAsJWE( keys.publicKeyString, data, "json" ) ).should.be.deepEqual( data );
+		} );
+
+		it( "fail to decrypt JWE with wrong private key", () => {
+			const otherKeys = ServerCrypto.generateKeyPair( "secret" );
+			const jwe = ServerCrypto.encryptObjectAsJWE( otherKeys.publicKeyString, { message: "Hello world!" } );
+
+			ServerCrypto.decryptJWE( privateKey, jwe ).should.be.false();
+		} );
+
+		it( "reject malformed JWE", () => {
+			( () => ServerCrypto.decryptJWE( privateKey, "a.b.c" ) ).should.throw();
+			( () => ServerCrypto.decryptJWE( privateKey, {} ) ).should.throw();
+		} );
+	} );
+
+	describe( "exposes methods fingerprint() and compareFingerprints() which", () => {
+		const keys = ServerCrypto.generateKeyPair( "secret" );
+		const fingerprint = ServerCrypto.fingerprint( keys.publicKeyString );
+
+		it( "match fingerprint with any of its renderings", () => {
+			ServerCrypto.compareFingerprints( fingerprint, ServerCrypto.fingerprint( keys.publicKeyString ) ).should.be.true();
+			ServerCrypto.compareFingerprints( fingerprint, fingerprint.hex.toUpperCase() ).should.be.true();
+			ServerCrypto.compareFingerprints( fingerprint.numeric.replace( / /g, "-" ), fingerprint ).should.be.true();
+			ServerCrypto.compareFingerprints( fingerprint, fingerprint.words ).should.be.true();
+		} );
+
+		it( "require every rendering given for both fingerprints to match", () => {
+			const forged = Object.assign( {}, fingerprint, { hex: fingerprint.hex.replace( /.$/, c => ( c === "0" ? "1" : "0" ) ) } );
+
+			ServerCrypto.compareFingerprints( fingerprint, forged ).should.be.false();
+			ServerCrypto.compareFingerprints( forged.hex, fingerprint ).should.be.false();
+			ServerCrypto.compareFingerprints( fingerprint.hex, fingerprint.words ).should.be.false();
+		} );
+
+		it( "render fingerprints matching those of browser-side module", () => {
+			return WebCryptoClient.fingerprint( keys.publicKeyString )
+				.then( browserFingerprint => {
+					browserFingerprint.should.be.deepEqual( fingerprint );
+
+					ServerCrypto.compareFingerprints( fingerprint, browserFingerprint ).should.be.true();
+				} );
+		} );
+	} );
+
+	describe( "exposes methods hashPassword() and checkPassword() which", () => {
+		// PBKDF2-HMAC-SHA256 of "password" with salt "salt" and 4096 iterations, see RFC 7914
+		const knownHash = "$ceph2$pbkdf2-sha256$i=4096$c2FsdA$xeR41ZKIyEGqUw22hFxMjZYok6ABzk4RpJY4c6qYE0o";
+
+		it( "check password against known hash in format $ceph2$", () => {
+			ServerCrypto.checkPassword( "password", knownHash ).should.be.true();
+			ServerCrypto.checkPassword( "passwort", knownHash ).should.be.false();
+		} );
+
+		it( "reject hashes with out-of-range number of iterations", () => {
+			Should( ServerCrypto.checkPassword( "password", knownHash.replace( "i=4096", "i=0" ) ) ).be.null();
+			Should( ServerCrypto.checkPassword( "password", knownHash.replace( "i=4096", "i=99999999999" ) ) ).be.null();
+			( () => ServerCrypto.hashPassword( "password", null, "base64", { iterations: 99999999999 } ) ).should.throw();
+		} );
+
+		it( "reject encrypted data with out-of-range number of iterations", () => {
+			const encrypted = ServerCrypto.encryptData( "Hello world!", "secret", 3, 1000 );
+			ServerCrypto.decryptData( encrypted, "secret" ).should.be.equal( "Hello world!" );
+
+			( () => ServerCrypto.decryptData( "3$99999999999$" + encrypted.substr( "3$1000$".length ), "secret" ) ).should.throw();
+			( () => ServerCrypto.encryptData( "Hello world!", "secret", 3, 99999999999 ) ).should.throw();
+		} );
+	} );
+
+	describe( "exposes methods needsRehash() and verifyAndUpgrade() which", () => {
+		const legacyHash = ServerCrypto.hashPassword( "password", null, "base64", { version: 1 } );
+		const weakHash = ServerCrypto.hashPassword( "password", null, "base64", { iterations: 1000 } );
+
+		it( "report hashes in format $ceph1$ as outdated unless policy is requesting version 1", () => {
+			legacyHash.should.startWith( "$ceph1$" );
+
+			ServerCrypto.needsRehash( legacyHash ).should.be.true();
+			ServerCrypto.needsRehash( legacyHash, { version: 1 } ).should.be.false();
+		} );
+
+		it( "apply number of iterations and hash function of policy", () => {
+			ServerCrypto.needsRehash( weakHash, { iterations: 1000 } ).should.be.false();
+			ServerCrypto.needsRehash( weakHash, { iterations: 500 } ).should.be.false();
+			ServerCrypto.needsRehash( weakHash, { iterations: 2000 } ).should.be.true();
+			ServerCrypto.needsRehash( weakHash, { hash: "sha512", iterations: 1000 } ).should.be.true();
+
+			const strongHash = ServerCrypto.hashPassword( "password", null, "base64", { hash: "sha512", iterations: 1000 } );
+			ServerCrypto.needsRehash( strongHash, { hash: "sha256", iterations: 1000 } ).should.be.false();
+		} );
+
+		it( "provide new hash only after verifying password against outdated hash", () => {
+			ServerCrypto.verifyAndUpgrade( "wrong", weakHash, { iterations: 2000 } ).should.be.deepEqual( { valid: false, newHash: null } );
+			ServerCrypto.verifyAndUpgrade( "wrong", legacyHash, { iterations: 2000 } ).should.be.deepEqual( { valid: false, newHash: null } );
+			ServerCrypto.verifyAndUpgrade( "password", weakHash, { iterations: 1000 } ).should.be.deepEqual( { valid: true, newHash: null } );
+
+			for ( const hash of [ weakHash, legacyHash ] ) {
+				const { valid, newHash } = ServerCrypto.verifyAndUpgrade( "password", hash, { iterations: 2000 } );
+
+				valid.should.be.true();
+				newHash.should.startWith( "$ceph2$pbkdf2-sha256$i=2000$" );
+				ServerCrypto.checkPassword( "password", newHash ).should.be.true();
+				ServerCrypto.needsRehash( newHash, { iterations: 2000 } ).should.be.false();
+			}
+		} );
+	} );
+} );
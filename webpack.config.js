@@ -11,6 +11,7 @@ module.exports = {
 		filename: "web-crypto-client.umd.js",
 		library: "WebCryptoClient",
 		libraryTarget: "umd",
+		globalObject: "typeof self !== 'undefined' ? self : this",
 	},
 	target: "web",
 };